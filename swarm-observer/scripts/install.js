@@ -101,6 +101,12 @@ const swarmHooks = {
       hooks: [{ type: "command", command: hookCmd("post_tool") }],
     },
   ],
+  PostToolUseFailure: [
+    {
+      matcher: ".*",
+      hooks: [{ type: "command", command: hookCmd("post_tool_failure") }],
+    },
+  ],
   SessionStart: [
     {
       hooks: [{ type: "command", command: hookCmd("session_start") }],
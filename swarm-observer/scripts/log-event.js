@@ -11,6 +11,13 @@
 // On Windows the hooks config should use the full path:
 //   "command": "node \"C:\\Users\\YOU\\.claude\\swarm-viz\\log-event.js\" pre_tool"
 //
+// Remote mode: with SWARM_OBSERVER_URL set, events are POSTed to that
+// observer's /api/events instead (authenticated with SWARM_OBSERVER_TOKEN,
+// tagged with SWARM_WORKSPACE or the hostname). While the observer is
+// unreachable they are spooled to remote-spool.jsonl and sent with the next event;
+// past 5 MB the oldest spooled lines are dropped. Batches it rejects (4xx, e.g.
+// a bad token) are dropped rather than retried.
+//
 
 const fs = require("fs");
 const path = require("path");
@@ -20,6 +27,15 @@ const eventType = process.argv[2] || "unknown";
 const home = os.homedir();
 const eventsDir = path.join(home, ".claude", "swarm-viz");
 const eventsFile = path.join(eventsDir, "events.jsonl");
+const spoolFile = path.join(eventsDir, "remote-spool.jsonl");
+
+const observerUrl = process.env.SWARM_OBSERVER_URL || "";
+const observerToken = process.env.SWARM_OBSERVER_TOKEN || "";
+// The observer only accepts letters, digits, ".", "_" and "-" in workspace names
+const workspace = (process.env.SWARM_WORKSPACE || os.hostname()).replace(/[^A-Za-z0-9._-]/g, "-").slice(0, 64);
+const POST_TIMEOUT_MS = 1500;
+const MAX_BATCH = 2000; // spooled lines sent per hook call
+const MAX_SPOOL_BYTES = 5 * 1024 * 1024; // past this the oldest spooled lines are dropped
 
 // Ensure directory exists
 try { fs.mkdirSync(eventsDir, { recursive: true }); } catch {}
@@ -32,33 +48,100 @@ process.stdin.on("end", () => {
   let hookData = {};
   try { hookData = JSON.parse(input); } catch {}
 
-  const record = {
+  deliver({
     ...hookData,
     event: eventType,
     session_id: hookData.session_id || process.env.CLAUDE_SESSION_ID || "unknown",
     ts: Date.now(),
-  };
-
-  try {
-    fs.appendFileSync(eventsFile, JSON.stringify(record) + "\n");
-  } catch (e) {
-    // Never block Claude Code — silently fail
-  }
-
-  process.exit(0);
+  });
 });
 
 // Safety: if stdin closes immediately or is empty, still write something
 setTimeout(() => {
   if (!input) {
-    const record = {
+    deliver({
       event: eventType,
       session_id: process.env.CLAUDE_SESSION_ID || "unknown",
       ts: Date.now(),
-    };
+    });
+  }
+}, 2000);
+
+let delivered = false;
+
+function deliver(record) {
+  if (delivered) return;
+  delivered = true;
+
+  if (!observerUrl) {
     try {
       fs.appendFileSync(eventsFile, JSON.stringify(record) + "\n");
-    } catch {}
+    } catch (e) {
+      // Never block Claude Code — silently fail
+    }
     process.exit(0);
   }
-}, 2000);
+
+  // Take the spool (renaming first so concurrent hooks don't send it twice)
+  let spooled = [];
+  const claimed = `${spoolFile}.${process.pid}.sending`;
+  try {
+    fs.renameSync(spoolFile, claimed);
+    spooled = fs.readFileSync(claimed, "utf8").split("\n").filter(Boolean);
+    fs.unlinkSync(claimed);
+  } catch {}
+
+  const batch = [...spooled.slice(-MAX_BATCH), JSON.stringify(record)];
+  const overflow = spooled.slice(0, -MAX_BATCH);
+  postEvents(batch, (ok) => {
+    const keep = newestWithin(ok ? overflow : [...overflow, ...batch], MAX_SPOOL_BYTES);
+    if (keep.length) {
+      try { fs.appendFileSync(spoolFile, keep.join("\n") + "\n"); } catch {}
+    }
+    process.exit(0);
+  });
+}
+
+// The last lines that together fit in maxBytes
+function newestWithin(lines, maxBytes) {
+  let size = 0;
+  let first = lines.length;
+  while (first > 0) {
+    size += Buffer.byteLength(lines[first - 1]) + 1;
+    if (size > maxBytes) break;
+    first--;
+  }
+  return lines.slice(first);
+}
+
+function postEvents(lines, callback) {
+  let url;
+  try {
+    url = new URL("api/events", observerUrl.endsWith("/") ? observerUrl : observerUrl + "/");
+  } catch {
+    return callback(false);
+  }
+  const body = lines.join("\n") + "\n";
+  const headers = {
+    "Content-Type": "application/x-ndjson",
+    "Content-Length": Buffer.byteLength(body),
+    "X-Swarm-Workspace": workspace,
+  };
+  if (observerToken) headers.Authorization = `Bearer ${observerToken}`;
+
+  const client = url.protocol === "https:" ? require("https") : require("http");
+  let finished = false;
+  const done = (ok) => {
+    if (finished) return;
+    finished = true;
+    callback(ok);
+  };
+  const req = client.request(url, { method: "POST", headers, timeout: POST_TIMEOUT_MS }, (res) => {
+    res.resume();
+    // A 4xx (bad token, bad body) won't succeed on retry, so the batch is dropped
+    done(res.statusCode >= 200 && res.statusCode < 500);
+  });
+  req.on("timeout", () => req.destroy());
+  req.on("error", () => done(false));
+  req.end(body);
+}
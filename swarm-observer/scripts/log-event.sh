@@ -8,7 +8,7 @@
 # Usage (in hooks config):
 #   "command": "~/.claude/swarm-viz/log-event.sh <event_type>"
 #
-# Event types: pre_tool, post_tool, session_start, stop, subagent_stop, task_done
+# Event types: pre_tool, post_tool, post_tool_failure, session_start, stop, subagent_stop, task_done
 
 set -euo pipefail
 
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+//
+// permission-prompt.js — Permission prompts for sessions spawned by Swarm Observer
+//
+// A minimal MCP server (JSON-RPC over stdio) with one tool, permission_prompt.
+// The observer starts its sessions with
+//   --mcp-config <private temp file with {"mcpServers":{"swarm_observer":{...}}}>
+//   --permission-prompt-tool mcp__swarm_observer__permission_prompt
+// so whenever Claude Code needs permission for a tool call it calls this tool
+// with { tool_name, input, tool_use_id }. The request is POSTed to the
+// observer's /api/sessions/<tag>/permission, which answers once someone clicks
+// Allow / Deny / Always in the UI, with what Claude Code expects back:
+//   { "behavior": "allow", "updatedInput": {...} }
+//   { "behavior": "deny", "message": "..." }
+//
+// Configured by the observer through the environment: SWARM_OBSERVER_URL,
+// SWARM_SESSION_TAG and SWARM_SESSION_SECRET. If the observer can't be
+// reached the call is denied.
+//
+
+const http = require("http");
+
+const observerUrl = process.env.SWARM_OBSERVER_URL || "http://127.0.0.1:3333";
+const sessionTag = process.env.SWARM_SESSION_TAG || "";
+const secret = process.env.SWARM_SESSION_SECRET || "";
+
+const TOOL = {
+  name: "permission_prompt",
+  description: "Asks the Swarm Observer operator whether a tool call may go ahead",
+  inputSchema: {
+    type: "object",
+    properties: {
+      tool_name: { type: "string" },
+      input: { type: "object" },
+      tool_use_id: { type: "string" },
+    },
+    required: ["tool_name", "input"],
+  },
+};
+
+function send(message) {
+  process.stdout.write(JSON.stringify({ jsonrpc: "2.0", ...message }) + "\n");
+}
+
+// Resolves with the decision object; denies rather than failing
+function askObserver(args) {
+  return new Promise((resolve) => {
+    const deny = (message) => resolve({ behavior: "deny", message });
+    let url;
+    try {
+      url = new URL(`/api/sessions/${encodeURIComponent(sessionTag)}/permission`, observerUrl);
+    } catch {
+      return deny(`Invalid SWARM_OBSERVER_URL: ${observerUrl}`);
+    }
+    const body = JSON.stringify({ tool_name: args.tool_name, input: args.input || {}, tool_use_id: args.tool_use_id });
+    const req = http.request(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(body),
+        Authorization: `Bearer ${secret}`,
+      },
+    }, (res) => {
+      let text = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => { text += chunk; });
+      res.on("end", () => {
+        let reply = null;
+        try { reply = JSON.parse(text); } catch {}
+        if (res.statusCode === 200 && (reply?.behavior === "allow" || reply?.behavior === "deny")) resolve(reply);
+        else deny(`Swarm Observer refused the permission request: ${reply?.error || `HTTP ${res.statusCode}`}`);
+      });
+    });
+    req.on("error", (e) => deny(`Swarm Observer unreachable: ${e.message}`));
+    req.end(body);
+  });
+}
+
+async function handle(message) {
+  const { id, method, params } = message;
+  if (method === "initialize") {
+    send({ id, result: {
+      protocolVersion: params?.protocolVersion || "2024-11-05",
+      capabilities: { tools: {} },
+      serverInfo: { name: "swarm-observer", version: "0.2.0" },
+    } });
+  } else if (method === "tools/list") {
+    send({ id, result: { tools: [TOOL] } });
+  } else if (method === "tools/call") {
+    if (params?.name !== TOOL.name) {
+      send({ id, error: { code: -32602, message: `Unknown tool: ${params?.name}` } });
+      return;
+    }
+    const decision = await askObserver(params.arguments || {});
+    send({ id, result: { content: [{ type: "text", text: JSON.stringify(decision) }] } });
+  } else if (method === "ping") {
+    send({ id, result: {} });
+  } else if (id !== undefined) {
+    send({ id, error: { code: -32601, message: `Method not found: ${method}` } });
+  }
+  // Anything else is a notification — nothing to answer
+}
+
+let buffer = "";
+process.stdin.setEncoding("utf8");
+process.stdin.on("data", (chunk) => {
+  buffer += chunk;
+  let newline;
+  while ((newline = buffer.indexOf("\n")) !== -1) {
+    const line = buffer.slice(0, newline).trim();
+    buffer = buffer.slice(newline + 1);
+    if (!line) continue;
+    let message;
+    try { message = JSON.parse(line); } catch { continue; }
+    handle(message);
+  }
+});
+process.stdin.on("end", () => process.exit(0));
@@ -1,116 +1,878 @@
 #!/usr/bin/env node
 
 const http = require("http");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
+const zlib = require("zlib");
 const { WebSocketServer } = require("ws");
 
 // -------------------------------------------------------------------
 // Config
 // -------------------------------------------------------------------
 const PORT = parseInt(process.env.PORT || "3333", 10);
+// Bind address — loopback only unless asked otherwise
+const HOST = argValue("--host") || process.env.SWARM_HOST || "127.0.0.1";
 const HOME = process.env.HOME || process.env.USERPROFILE || require("os").homedir();
 const EVENTS_DIR = path.join(HOME, ".claude", "swarm-viz");
 const EVENTS_FILE = path.join(EVENTS_DIR, "events.jsonl");
-const TASKS_DIR = path.join(HOME, ".claude", "tasks");
-const TEAMS_DIR = path.join(HOME, ".claude", "teams");
-const PROJECTS_DIR = path.join(HOME, ".claude", "projects");
+// Events POSTed to /api/events by hooks on other machines
+const REMOTE_EVENTS_FILE = path.join(EVENTS_DIR, "remote-events.jsonl");
 const DEMO = process.argv.includes("--demo");
 const DEV = process.argv.includes("--dev");
 
+// How far back to replay events.jsonl on startup ("0" disables replay)
+const REPLAY_LOOKBACK_MS = process.argv.includes("--no-replay")
+  ? 0
+  : parseDuration(argValue("--lookback") || process.env.SWARM_LOOKBACK || "24h");
+// Never read more than this many bytes from the tail of events.jsonl on startup
+const REPLAY_MAX_BYTES = 64 * 1024 * 1024;
+// --replay [file]: play back a recorded events.jsonl instead of watching live sources
+const PLAYBACK_FILE = process.argv.includes("--replay")
+  ? path.resolve(/^[^-]/.test(argValue("--replay") || "") ? argValue("--replay") : EVENTS_FILE)
+  : null;
+
+// Value of a `--flag value` or `--flag=value` CLI argument
+function argValue(name) {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === name) return args[i + 1];
+    if (args[i].startsWith(name + "=")) return args[i].substring(name.length + 1);
+  }
+  return undefined;
+}
+
+// "90s", "30m", "6h", "2d" or plain milliseconds → milliseconds (0 if unparseable)
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+  if (!match) return 0;
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return Math.round(parseFloat(match[1]) * units[(match[2] || "ms").toLowerCase()]);
+}
+
 // Ensure events dir exists
 try { fs.mkdirSync(EVENTS_DIR, { recursive: true }); } catch {}
 try { if (!fs.existsSync(EVENTS_FILE)) fs.writeFileSync(EVENTS_FILE, ""); } catch {}
 
+// Optional JSON config file (price table, …) — see README
+const CONFIG_FILE = path.resolve(argValue("--config") || process.env.SWARM_CONFIG || path.join(EVENTS_DIR, "config.json"));
+const config = loadConfig();
+
+function loadConfig() {
+  if (!fs.existsSync(CONFIG_FILE)) return {};
+  const parsed = readJsonSafe(CONFIG_FILE);
+  if (!parsed) console.log(`  ⚠️  Ignoring unreadable config file ${CONFIG_FILE}`);
+  return parsed || {};
+}
+
+// Workspaces: the ~/.claude homes to observe. "workspaces" in the config file
+// lists them (other users, containers, …) —
+//   [{ "id": "me", "home": "~" }, { "id": "ci", "claudeDir": "/mnt/ci/.claude" }]
+// — and without it only the current user's home is watched.
+const WORKSPACE_COLORS = ["#06d6a0", "#ffd166", "#ef476f", "#118ab2", "#cdb4db", "#f4a261"];
+const WORKSPACES = loadWorkspaces(
+  Array.isArray(config.workspaces) && config.workspaces.length ? config.workspaces : [{ id: "local", home: HOME }]
+);
+
+function loadWorkspaces(entries) {
+  const expand = (p) => path.resolve(String(p).replace(/^~(?=$|[\\/])/, HOME));
+  const workspaces = [];
+  for (const entry of entries) {
+    if (!entry?.home && !entry?.claudeDir) {
+      console.log(`  ⚠️  Skipping workspace without "home" or "claudeDir": ${JSON.stringify(entry)}`);
+      continue;
+    }
+    const claudeDir = entry.claudeDir ? expand(entry.claudeDir) : path.join(expand(entry.home), ".claude");
+    const baseId = String(entry.id || path.basename(path.dirname(claudeDir)) || "workspace");
+    let id = baseId;
+    for (let n = 2; workspaces.some(w => w.id === id); n++) id = `${baseId}-${n}`;
+    workspaces.push({
+      id,
+      label: entry.label || id,
+      color: entry.color || WORKSPACE_COLORS[workspaces.length % WORKSPACE_COLORS.length],
+      claudeDir,
+      eventsFile: path.join(claudeDir, "swarm-viz", "events.jsonl"),
+      teamsDir: path.join(claudeDir, "teams"),
+      tasksDir: path.join(claudeDir, "tasks"),
+      projectsDir: path.join(claudeDir, "projects"),
+      eventsFileSize: 0,
+    });
+  }
+  if (workspaces.length === 0) {
+    console.log("  ⚠️  No usable workspaces in config — watching the local home only");
+    return loadWorkspaces([{ id: "local", home: HOME }]);
+  }
+  return workspaces;
+}
+
+function workspaceById(id) {
+  return WORKSPACES.find(w => w.id === id) || null;
+}
+
+// Remote workspaces are named by the hooks that POST to /api/events and have
+// no ~/.claude of their own to watch. Returns null once the cap is reached, or
+// if the name belongs to a configured local workspace.
+const MAX_REMOTE_WORKSPACES = Number(config.maxRemoteWorkspaces) || 20;
+
+function ensureWorkspace(id) {
+  const existing = workspaceById(id);
+  if (existing) return existing.remote ? existing : null;
+  if (WORKSPACES.filter(w => w.remote).length >= MAX_REMOTE_WORKSPACES) return null;
+  const workspace = {
+    id,
+    label: id,
+    color: WORKSPACE_COLORS[WORKSPACES.length % WORKSPACE_COLORS.length],
+    claudeDir: null,
+    remote: true,
+  };
+  WORKSPACES.push(workspace);
+  console.log(`  🌐 New remote workspace "${id}"`);
+  broadcast({ type: "workspaces", workspaces: WORKSPACES.map(publicWorkspace) });
+  return workspace;
+}
+
+// Team and team-member ids are only unique within one ~/.claude, so they get
+// an "@workspace" suffix unless the workspace is the only local one. Remote
+// workspaces can show up at any time without renaming ids already handed out.
+function scopeId(workspace, id) {
+  const alone = workspace === WORKSPACES[0] && !WORKSPACES.some(w => w !== workspace && !w.remote);
+  return alone ? id : `${id}@${workspace.id}`;
+}
+
+function publicWorkspace(workspace) {
+  return {
+    id: workspace.id,
+    label: workspace.label,
+    color: workspace.color,
+    claudeDir: workspace.claudeDir,
+    remote: !!workspace.remote,
+  };
+}
+
+// -------------------------------------------------------------------
+// Access control
+// -------------------------------------------------------------------
+// Every HTTP request and WebSocket needs a token: `?token=` (remembered in a
+// cookie on first visit), an `Authorization: Bearer` header, or that cookie.
+// Operators can do everything, viewers can only watch, and ingest tokens (for
+// hooks on other machines) can only POST /api/events. Each spawned session's
+// permission helper gets a secret of its own that can only ask that session's
+// permission questions (see apiSessionPermission). With no operator token
+// configured a one-time token is generated on each start; --no-auth turns it off.
+const AUTH_ENABLED = !process.argv.includes("--no-auth");
+const CONFIGURED_TOKEN = process.env.SWARM_TOKEN || config.auth?.token || null;
+const OPERATOR_TOKEN = CONFIGURED_TOKEN || (AUTH_ENABLED ? crypto.randomBytes(18).toString("hex") : null);
+const VIEWER_TOKEN = process.env.SWARM_VIEWER_TOKEN || config.auth?.viewerToken || null;
+const INGEST_TOKEN = process.env.SWARM_INGEST_TOKEN || config.auth?.ingestToken || null;
+const AUTH_COOKIE = "swarm_token";
+// WebSocket messages that start, steer or stop something
+const OPERATOR_MESSAGES = new Set([
+  "prompt", "respond", "kill", "send_inbox_message", "playback_control",
+  "create_task", "update_task", "assign_task", "set_task_status",
+  "create_team", "add_team_member", "launch_team_member",
+  "permission_response", "interrupt",
+  "save_session_preset", "delete_session_preset", "attach_session",
+]);
+
+function requestToken(req) {
+  const query = new URL(req.url, "http://localhost").searchParams;
+  if (query.get("token")) return query.get("token");
+  const auth = req.headers.authorization || "";
+  if (auth.startsWith("Bearer ")) return auth.substring(7).trim();
+  const cookie = (req.headers.cookie || "").split(";").map(c => c.trim())
+    .find(c => c.startsWith(AUTH_COOKIE + "="));
+  return cookie ? decodeURIComponent(cookie.substring(AUTH_COOKIE.length + 1)) : null;
+}
+
+function tokenMatches(token, expected) {
+  if (!token || !expected) return false;
+  const given = Buffer.from(String(token));
+  const wanted = Buffer.from(expected);
+  return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
+
+// "operator", "viewer", "ingest", "session" or null (not allowed in)
+function requestRole(req) {
+  if (!AUTH_ENABLED) return "operator";
+  const token = requestToken(req);
+  if (tokenMatches(token, OPERATOR_TOKEN)) return "operator";
+  if (tokenMatches(token, VIEWER_TOKEN)) return "viewer";
+  if (tokenMatches(token, INGEST_TOKEN)) return "ingest";
+  for (const session of managedProcesses.values()) {
+    if (tokenMatches(token, session.permissionSecret)) return "session";
+  }
+  return null;
+}
+
+function handleRequest(req, res) {
+  const isApi = req.url === "/api" || req.url.startsWith("/api/") || req.url.startsWith("/api?");
+  const role = requestRole(req);
+  if (!role) {
+    if (isApi) {
+      sendError(res, 401, "Missing or invalid token");
+    } else {
+      res.writeHead(401, { "Content-Type": "text/plain" });
+      res.end("Unauthorized — open the URL printed by the server (it includes ?token=…)\n");
+    }
+    return;
+  }
+  req.role = role;
+
+  const url = new URL(req.url, "http://localhost");
+  if (role === "ingest" && !(req.method === "POST" && url.pathname === "/api/events")) {
+    sendError(res, 403, "Ingest tokens can only POST /api/events");
+    return;
+  }
+  if (role === "session" && !(req.method === "POST" && /^\/api\/sessions\/[^/]+\/permission$/.test(url.pathname))) {
+    sendError(res, 403, "Session secrets can only POST /api/sessions/:tag/permission");
+    return;
+  }
+
+  // Opening the printed URL: keep the token in a cookie and out of the address bar
+  if (!isApi && url.searchParams.has("token")) {
+    const token = url.searchParams.get("token");
+    url.searchParams.delete("token");
+    res.writeHead(302, {
+      "Set-Cookie": `${AUTH_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict`,
+      Location: url.pathname + url.search,
+    });
+    res.end();
+    return;
+  }
+
+  if (isApi) handleApi(req, res);
+  else serveStatic(req, res);
+}
+
 // -------------------------------------------------------------------
 // Static file server
 // -------------------------------------------------------------------
+const PUBLIC_DIR = path.join(__dirname, "public");
 const MIME = {
-  ".html": "text/html",
-  ".js":   "application/javascript",
-  ".css":  "text/css",
-  ".json": "application/json",
-  ".svg":  "image/svg+xml",
-  ".png":  "image/png",
+  ".html":  "text/html; charset=utf-8",
+  ".js":    "application/javascript; charset=utf-8",
+  ".mjs":   "application/javascript; charset=utf-8",
+  ".css":   "text/css; charset=utf-8",
+  ".json":  "application/json; charset=utf-8",
+  ".map":   "application/json; charset=utf-8",
+  ".txt":   "text/plain; charset=utf-8",
+  ".svg":   "image/svg+xml",
+  ".png":   "image/png",
+  ".jpg":   "image/jpeg",
+  ".jpeg":  "image/jpeg",
+  ".gif":   "image/gif",
+  ".webp":  "image/webp",
+  ".ico":   "image/x-icon",
+  ".woff":  "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf":   "font/ttf",
+  ".otf":   "font/otf",
+  ".eot":   "application/vnd.ms-fontobject",
 };
+// Worth compressing: text formats above a packet or so
+const COMPRESSIBLE = /^(text\/|application\/(javascript|json)|image\/svg)/;
+const COMPRESS_MIN_BYTES = 1024;
+const staticCache = new Map(); // filePath -> { etag, raw, gzip?, br? } for the current mtime
+
+// Map a URL path onto a file inside public/, or null if it would escape it
+// (../, encoded or backslash variants, NUL bytes) or touches a dotfile
+function resolvePublicPath(urlPath) {
+  let decoded;
+  try { decoded = decodeURIComponent(urlPath); } catch { return null; }
+  if (decoded.includes("\0")) return null;
+  if (decoded === "/") decoded = "/index.html";
+  const filePath = path.resolve(PUBLIC_DIR, "." + decoded.replace(/\\/g, "/"));
+  const relative = path.relative(PUBLIC_DIR, filePath);
+  if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) return null;
+  if (relative.split(path.sep).some(part => part.startsWith("."))) return null;
+  return filePath;
+}
+
+function acceptedEncoding(req) {
+  const accepted = String(req.headers["accept-encoding"] || "");
+  if (/\bbr\b/.test(accepted)) return "br";
+  if (/\bgzip\b/.test(accepted)) return "gzip";
+  return null;
+}
 
 function serveStatic(req, res) {
-  // API endpoint: current state snapshot
-  if (req.url === "/api/state") {
-    res.writeHead(200, { "Content-Type": "application/json" });
-    res.end(JSON.stringify({
-      agents: Object.fromEntries(knownAgents),
-      recentEvents: recentEvents.slice(-100),
-      recentMessages: recentMessages.slice(-50),
-    }));
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.writeHead(405, { Allow: "GET, HEAD", "Content-Type": "text/plain" });
+    res.end("Method not allowed");
+    return;
+  }
+  const filePath = resolvePublicPath(new URL(req.url, "http://localhost").pathname);
+  if (!filePath) {
+    res.writeHead(403, { "Content-Type": "text/plain" });
+    res.end("Forbidden");
     return;
   }
 
-  let filePath = req.url === "/" ? "/index.html" : req.url;
-  filePath = path.join(__dirname, "public", filePath);
+  fs.stat(filePath, (statErr, stat) => {
+    if (statErr || !stat.isFile()) {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Not found");
+      return;
+    }
 
-  const ext = path.extname(filePath);
-  const contentType = MIME[ext] || "application/octet-stream";
+    const contentType = MIME[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+    const etag = `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+    const headers = {
+      "Content-Type": contentType,
+      ETag: etag,
+      "Last-Modified": stat.mtime.toUTCString(),
+      // The UI isn't fingerprinted, so HTML always revalidates; --dev skips caching entirely
+      "Cache-Control": DEV ? "no-store" : contentType.startsWith("text/html") ? "no-cache" : "public, max-age=3600",
+      "X-Content-Type-Options": "nosniff",
+    };
 
-  fs.readFile(filePath, (err, data) => {
-    if (err) {
-      res.writeHead(404);
-      res.end("Not found");
+    const since = Date.parse(req.headers["if-modified-since"] || "");
+    const notModified = req.headers["if-none-match"]
+      ? req.headers["if-none-match"].split(",").some(tag => tag.trim() === etag)
+      : since >= Math.floor(stat.mtimeMs / 1000) * 1000;
+    if (notModified) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    const send = (entry) => {
+      let body = entry.raw;
+      const encoding = COMPRESSIBLE.test(contentType) && body.length >= COMPRESS_MIN_BYTES ? acceptedEncoding(req) : null;
+      if (encoding) {
+        headers.Vary = "Accept-Encoding";
+        if (!entry[encoding]) {
+          entry[encoding] = encoding === "br" ? zlib.brotliCompressSync(body) : zlib.gzipSync(body);
+        }
+        body = entry[encoding];
+        headers["Content-Encoding"] = encoding;
+      } else if (COMPRESSIBLE.test(contentType)) {
+        headers.Vary = "Accept-Encoding";
+      }
+      headers["Content-Length"] = body.length;
+      res.writeHead(200, headers);
+      res.end(req.method === "HEAD" ? undefined : body);
+    };
+
+    const cached = staticCache.get(filePath);
+    if (cached && cached.etag === etag) {
+      send(cached);
+      return;
+    }
+    fs.readFile(filePath, (err, data) => {
+      if (err) {
+        res.writeHead(404, { "Content-Type": "text/plain" });
+        res.end("Not found");
+        return;
+      }
+      const entry = { etag, raw: data };
+      staticCache.set(filePath, entry);
+      send(entry);
+    });
+  });
+}
+
+// -------------------------------------------------------------------
+// REST API — read-only views over the in-memory state
+// -------------------------------------------------------------------
+const API_DEFAULT_LIMIT = 100;
+const API_MAX_LIMIT = 1000;
+
+// [method, pattern, handler] — ":name" segments become params
+const API_ROUTES = [
+  ["GET", "/api/state", apiState],
+  ["GET", "/api/agents", apiListAgents],
+  ["GET", "/api/agents/:id", apiGetAgent],
+  ["GET", "/api/agents/:id/events", apiAgentEvents],
+  ["GET", "/api/agents/:id/transcript", apiAgentTranscript],
+  ["GET", "/api/events", apiListEvents],
+  ["GET", "/api/events/:id/diff", apiEventDiff],
+  ["POST", "/api/events", apiIngestEvents],
+  ["GET", "/api/sessions", apiListSessions],
+  ["POST", "/api/sessions/:tag/permission", apiSessionPermission],
+  ["GET", "/api/messages", apiListMessages],
+  ["GET", "/api/teams", apiListTeams],
+  ["GET", "/api/teams/:team", apiGetTeam],
+  ["GET", "/api/teams/:team/tasks", apiTeamTasks],
+  ["GET", "/api/usage", apiUsage],
+  ["GET", "/api/workspaces", apiListWorkspaces],
+  ["GET", "/api/files", apiListFiles],
+  ["GET", "/api/files/detail", apiFileDetail],
+  ["GET", "/api/conflicts", apiListConflicts],
+];
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message) {
+  sendJson(res, status, { error: message, status });
+}
+
+function matchRoute(pattern, pathname) {
+  const want = pattern.split("/");
+  const got = pathname.replace(/\/+$/, "").split("/");
+  if (want.length !== got.length) return null;
+  const params = {};
+  for (let i = 0; i < want.length; i++) {
+    if (want[i].startsWith(":")) {
+      try { params[want[i].substring(1)] = decodeURIComponent(got[i]); } catch { return null; }
+    } else if (want[i] !== got[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+function handleApi(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  const allowed = [];
+  for (const [method, pattern, handler] of API_ROUTES) {
+    const params = matchRoute(pattern, url.pathname);
+    if (!params) continue;
+    allowed.push(method);
+    if (req.method !== method) continue;
+    try {
+      handler(req, res, params, url.searchParams);
+    } catch (e) {
+      console.log(`  ❌ API ${req.method} ${url.pathname} failed: ${e.message}`);
+      sendError(res, 500, "Internal server error");
+    }
+    return;
+  }
+  if (allowed.length) {
+    res.setHeader("Allow", allowed.join(", "));
+    sendError(res, 405, `Method ${req.method} not allowed`);
+  } else {
+    sendError(res, 404, `No API route for ${url.pathname}`);
+  }
+}
+
+// ?limit=&offset= → { limit, offset } or { error }
+function readPagination(query) {
+  const limit = query.has("limit") ? Number(query.get("limit")) : API_DEFAULT_LIMIT;
+  const offset = query.has("offset") ? Number(query.get("offset")) : 0;
+  if (!Number.isInteger(limit) || limit < 1 || limit > API_MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${API_MAX_LIMIT}` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: "offset must be a non-negative integer" };
+  }
+  return { limit, offset };
+}
+
+function sendPage(res, items, query) {
+  const page = readPagination(query);
+  if (page.error) return sendError(res, 400, page.error);
+  sendJson(res, 200, {
+    total: items.length,
+    offset: page.offset,
+    limit: page.limit,
+    items: items.slice(page.offset, page.offset + page.limit),
+  });
+}
+
+// ?since= accepts epoch milliseconds or an ISO date; NaN if malformed
+function readSince(query) {
+  if (!query.has("since")) return 0;
+  const raw = query.get("since");
+  return /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+}
+
+// Agent record without the underscore-prefixed bookkeeping fields
+function publicAgent(agent) {
+  const out = {};
+  for (const [key, value] of Object.entries(agent)) {
+    if (!key.startsWith("_")) out[key] = value;
+  }
+  return out;
+}
+
+function apiState(req, res) {
+  sendJson(res, 200, {
+    agents: Object.fromEntries(knownAgents),
+    recentEvents: recentEvents.slice(-100),
+    recentMessages: recentMessages.slice(-50),
+    stats,
+  });
+}
+
+function apiListAgents(req, res, params, query) {
+  let agents = Array.from(knownAgents.values());
+  if (query.has("team")) agents = agents.filter(a => a.teamName === query.get("team"));
+  if (query.has("status")) agents = agents.filter(a => a.status === query.get("status"));
+  if (query.has("workspace")) agents = agents.filter(a => a.workspace === query.get("workspace"));
+  sendPage(res, agents.sort((a, b) => a.firstSeen - b.firstSeen).map(publicAgent), query);
+}
+
+function apiGetAgent(req, res, params) {
+  const agent = knownAgents.get(params.id);
+  if (!agent) return sendError(res, 404, `Agent "${params.id}" not found`);
+  sendJson(res, 200, publicAgent(agent));
+}
+
+function apiAgentEvents(req, res, params, query) {
+  if (!knownAgents.has(params.id)) return sendError(res, 404, `Agent "${params.id}" not found`);
+  query.set("agent", params.id);
+  apiListEvents(req, res, params, query);
+}
+
+// The agent's conversation from its transcript file. ?after=<byte offset>
+// continues from a previous response's `offset`; otherwise the file's tail.
+function apiAgentTranscript(req, res, params, query) {
+  const agent = knownAgents.get(params.id);
+  if (!agent) return sendError(res, 404, `Agent "${params.id}" not found`);
+  const after = query.has("after") ? Number(query.get("after")) : null;
+  if (after !== null && (!Number.isInteger(after) || after < 0)) {
+    return sendError(res, 400, "after must be a non-negative byte offset");
+  }
+  const limit = query.has("limit") ? Number(query.get("limit")) : TRANSCRIPT_DEFAULT_ENTRIES;
+  if (!Number.isInteger(limit) || limit < 1 || limit > API_MAX_LIMIT) {
+    return sendError(res, 400, `limit must be an integer between 1 and ${API_MAX_LIMIT}`);
+  }
+
+  const file = findTranscript(agent);
+  if (!file) return sendError(res, 404, `No transcript found for agent "${params.id}"`);
+  const size = fs.statSync(file).size;
+  const start = after === null || size - after > TRANSCRIPT_TAIL_BYTES ? Math.max(0, size - TRANSCRIPT_TAIL_BYTES) : Math.min(after, size);
+  const { lines, end } = readTranscriptLines(file, start, size);
+  const entries = lines.flatMap(transcriptEntries);
+  sendJson(res, 200, {
+    agentId: agent.id,
+    file,
+    offset: end,
+    // Whether older parts of the conversation were left out
+    truncated: start > (after || 0) || entries.length > limit,
+    entries: entries.slice(-limit),
+  });
+}
+
+function apiEventDiff(req, res, params) {
+  const diff = eventDiffs.get(params.id);
+  if (!diff) return sendError(res, 404, `No diff for event "${params.id}"`);
+  sendJson(res, 200, diff);
+}
+
+// Newest first
+function apiListEvents(req, res, params, query) {
+  const since = readSince(query);
+  if (Number.isNaN(since)) return sendError(res, 400, "since must be epoch milliseconds or an ISO date");
+  const agentId = query.get("agent");
+  const tool = query.get("tool");
+  const workspace = query.get("workspace");
+  const events = recentEvents.filter(e =>
+    e.timestamp >= since &&
+    (!agentId || e.agentId === agentId) &&
+    (!tool || e.tool === tool) &&
+    (!workspace || e.workspace === workspace)
+  );
+  sendPage(res, events.reverse(), query);
+}
+
+// Newest first; ?agent= matches either end of the message
+function apiListMessages(req, res, params, query) {
+  const since = readSince(query);
+  if (Number.isNaN(since)) return sendError(res, 400, "since must be epoch milliseconds or an ISO date");
+  const agentId = query.get("agent");
+  const messages = recentMessages.filter(m =>
+    m.timestamp >= since && (!agentId || m.from === agentId || m.to === agentId)
+  );
+  sendPage(res, messages.reverse(), query);
+}
+
+function teamSummary(teamName, team) {
+  const taskCounts = {};
+  for (const task of team.tasks.values()) {
+    const status = task.status || "pending";
+    taskCounts[status] = (taskCounts[status] || 0) + 1;
+  }
+  return {
+    name: teamName,
+    workspace: team.workspace || null,
+    description: team.config.description || null,
+    members: team.config.members || [],
+    taskCount: team.tasks.size,
+    taskCounts,
+    inboxCounts: Object.fromEntries([...team.inboxes].map(([name, msgs]) => [name, msgs.length])),
+  };
+}
+
+function apiListTeams(req, res, params, query) {
+  let teams = [...teamsState];
+  if (query.has("workspace")) teams = teams.filter(([, team]) => team.workspace === query.get("workspace"));
+  sendPage(res, teams.map(([name, team]) => teamSummary(name, team)), query);
+}
+
+function apiGetTeam(req, res, params) {
+  const team = teamsState.get(params.team);
+  if (!team) return sendError(res, 404, `Team "${params.team}" not found`);
+  sendJson(res, 200, teamSummary(params.team, team));
+}
+
+function apiTeamTasks(req, res, params, query) {
+  const team = teamsState.get(params.team);
+  if (!team) return sendError(res, 404, `Team "${params.team}" not found`);
+  const status = query.get("status");
+  const owner = query.get("owner");
+  const tasks = teamTaskList(team)
+    .filter(t => (!status || t.status === status) && (!owner || t.owner === owner));
+  sendPage(res, tasks, query);
+}
+
+function apiListWorkspaces(req, res) {
+  sendJson(res, 200, WORKSPACES.map(workspace => ({
+    ...publicWorkspace(workspace),
+    agentCount: [...knownAgents.values()].filter(a => a.workspace === workspace.id).length,
+    teamCount: [...teamsState.values()].filter(t => t.workspace === workspace.id).length,
+  })));
+}
+
+// Hottest first; ?agent= and ?workspace= filter, ?q= matches part of the path
+function apiListFiles(req, res, params, query) {
+  const agentId = query.get("agent");
+  const workspace = query.get("workspace");
+  const q = query.get("q");
+  const files = listFiles().filter(f =>
+    (!agentId || f.agents.has(agentId)) &&
+    (!workspace || f.workspace === workspace) &&
+    (!q || f.path.includes(q))
+  );
+  sendPage(res, files.map(fileSummary), query);
+}
+
+// ?path= (and ?workspace= when several machines have the same path)
+function apiFileDetail(req, res, params, query) {
+  const filePath = query.get("path");
+  if (!filePath) return sendError(res, 400, "path is required");
+  const matches = [...fileActivity.values()].filter(f =>
+    f.path === filePath.replace(/\\/g, "/") && (!query.has("workspace") || f.workspace === query.get("workspace"))
+  );
+  if (matches.length === 0) return sendError(res, 404, `No activity for "${filePath}"`);
+  sendJson(res, 200, fileDetail(matches.sort((a, b) => b.lastTouched - a.lastTouched)[0]));
+}
+
+// Newest first; ?agent= matches either writer
+function apiListConflicts(req, res, params, query) {
+  const since = readSince(query);
+  if (Number.isNaN(since)) return sendError(res, 400, "since must be epoch milliseconds or an ISO date");
+  const agentId = query.get("agent");
+  const conflicts = recentConflicts.filter(c => c.lastAt >= since && (!agentId || c.agents.includes(agentId)));
+  sendPage(res, conflicts.slice().reverse(), query);
+}
+
+function apiListSessions(req, res) {
+  sendJson(res, 200, listSessions());
+}
+
+function apiUsage(req, res) {
+  sendJson(res, 200, { ...usageSnapshot(), prices: PRICES });
+}
+
+// Remote hooks: one event as a JSON object, several as a JSON array or as
+// NDJSON (Content-Type: application/x-ndjson). Events are tagged with their
+// "workspace" field, the X-Swarm-Workspace header, or "remote".
+const INGEST_MAX_BYTES = 10 * 1024 * 1024;
+const INGEST_MAX_ERRORS = 10;
+
+function apiIngestEvents(req, res) {
+  if (req.role === "viewer") return sendError(res, 403, "Viewers cannot post events");
+  if (PLAYBACK_FILE) return sendError(res, 409, "Not accepting events during playback");
+
+  readRequestBody(req, INGEST_MAX_BYTES, (err, body) => {
+    if (err) return sendError(res, err.status, err.message);
+
+    let entries;
+    if (/ndjson|jsonl/i.test(req.headers["content-type"] || "")) {
+      entries = body.split("\n").map(line => line.trim()).filter(Boolean).map(line => {
+        try { return JSON.parse(line); } catch { return undefined; }
+      });
+    } else {
+      let parsed;
+      try { parsed = JSON.parse(body); } catch { return sendError(res, 400, "Body is not valid JSON"); }
+      entries = Array.isArray(parsed) ? parsed : [parsed];
+    }
+
+    const header = req.headers["x-swarm-workspace"];
+    const headerWorkspace = sanitizeWorkspaceId(header);
+    if (header !== undefined && !headerWorkspace) return sendError(res, 400, "Invalid X-Swarm-Workspace header");
+    if (isLocalWorkspace(headerWorkspace)) return sendError(res, 400, `"${headerWorkspace}" is a local workspace`);
+    const accepted = [];
+    const errors = [];
+    entries.forEach((evt, index) => {
+      if (!evt || typeof evt !== "object" || Array.isArray(evt)) {
+        errors.push({ index, error: "Not a JSON object" });
+        return;
+      }
+      const badField = invalidEventField(evt);
+      if (badField) {
+        errors.push({ index, error: `Invalid ${badField}` });
+        return;
+      }
+      const named = evt.workspace == null ? null : sanitizeWorkspaceId(evt.workspace);
+      if (evt.workspace != null && !named) {
+        errors.push({ index, error: "Invalid workspace name" });
+        return;
+      }
+      if (isLocalWorkspace(named)) {
+        errors.push({ index, error: `"${named}" is a local workspace` });
+        return;
+      }
+      const workspace = ensureWorkspace(named || headerWorkspace || "remote");
+      if (!workspace) {
+        errors.push({ index, error: `Too many remote workspaces (max ${MAX_REMOTE_WORKSPACES})` });
+        return;
+      }
+      if (typeof evt.ts !== "number") evt.ts = Date.now();
+      evt.workspace = workspace.id;
+      // Only what went through is kept, so replay never meets an event that failed
+      try {
+        processEvent(evt);
+      } catch (e) {
+        console.log(`  ⚠️  Could not process remote event: ${e.message}`);
+        errors.push({ index, error: "Could not be processed" });
+        return;
+      }
+      accepted.push(evt);
+    });
+
+    if (accepted.length && !DEMO) {
+      try {
+        fs.appendFileSync(REMOTE_EVENTS_FILE, accepted.map(evt => JSON.stringify(evt)).join("\n") + "\n");
+      } catch (e) {
+        console.log(`  ⚠️  Could not persist remote events: ${e.message}`);
+      }
+    }
+
+    sendJson(res, 202, {
+      accepted: accepted.length,
+      rejected: errors.length,
+      errors: errors.slice(0, INGEST_MAX_ERRORS),
+    });
+  });
+}
+
+// Hook fields that must be strings when present, at the top level and in tool_input
+const EVENT_STRING_FIELDS = ["session_id", "sessionId", "hook_event_name", "event", "type", "tool_name", "tool", "model", "cwd", "tool_use_id"];
+const TOOL_INPUT_STRING_FIELDS = ["file_path", "notebook_path", "path", "command", "content", "old_string", "new_string"];
+
+// The first field of a remote event with the wrong type, or null
+function invalidEventField(evt) {
+  const wrong = EVENT_STRING_FIELDS.find(key => evt[key] != null && typeof evt[key] !== "string");
+  if (wrong) return wrong;
+  const input = evt.tool_input;
+  if (input == null) return null;
+  if (typeof input !== "object" || Array.isArray(input)) return "tool_input";
+  const wrongInput = TOOL_INPUT_STRING_FIELDS.find(key => input[key] != null && typeof input[key] !== "string");
+  return wrongInput ? `tool_input.${wrongInput}` : null;
+}
+
+// Workspace names from remote hooks: letters, digits, ".", "_" and "-", up to 64
+const WORKSPACE_ID_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// Remote hooks can't post as one of the homes watched here
+function isLocalWorkspace(id) {
+  const workspace = id ? workspaceById(id) : null;
+  return !!workspace && !workspace.remote;
+}
+
+function sanitizeWorkspaceId(value) {
+  if (typeof value !== "string") return null;
+  const id = value.trim();
+  return WORKSPACE_ID_RE.test(id) ? id : null;
+}
+
+// Buffers a request body up to maxBytes; callback(err, text) where err carries an HTTP status
+function readRequestBody(req, maxBytes, callback) {
+  const chunks = [];
+  let size = 0;
+  let done = false;
+  const finish = (err, body) => {
+    if (done) return;
+    done = true;
+    callback(err, body);
+  };
+  req.on("data", (chunk) => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      finish({ status: 413, message: `Body larger than ${maxBytes} bytes` });
+      req.destroy();
       return;
     }
-    res.writeHead(200, { "Content-Type": contentType });
-    res.end(data);
+    chunks.push(chunk);
   });
+  req.on("end", () => finish(null, Buffer.concat(chunks).toString("utf8")));
+  req.on("error", (e) => finish({ status: 400, message: e.message }));
 }
 
-const server = http.createServer(serveStatic);
+const server = http.createServer(handleRequest);
 
 // -------------------------------------------------------------------
 // WebSocket
 // -------------------------------------------------------------------
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({
+  server,
+  verifyClient: (info) => ["operator", "viewer"].includes(requestRole(info.req)),
+});
 const clients = new Set();
 
 // -------------------------------------------------------------------
 // Managed Claude Code processes (for interactive prompting)
 // -------------------------------------------------------------------
 const { spawn } = require("child_process");
-const managedProcesses = new Map(); // sessionTag -> { proc, ws, buffer }
+const managedProcesses = new Map(); // sessionTag -> { proc, ws, buffer, ... }, see spawnClaudeSession
 
-wss.on("connection", (ws) => {
+wss.on("connection", (ws, req) => {
   clients.add(ws);
+  ws.role = requestRole(req);
 
   // Send current state on connect
-  ws.send(JSON.stringify({
-    type: "snapshot",
-    agents: Object.fromEntries(knownAgents),
-    recentEvents: recentEvents.slice(-80),
-    recentMessages: recentMessages.slice(-30),
-    serverCwd: process.cwd(),
-    teams: getTeamsSnapshot(),
-  }));
+  ws.send(JSON.stringify({ ...buildSnapshot(), role: ws.role }));
 
   // Handle messages FROM the UI
   ws.on("message", (raw) => {
     let msg;
     try { msg = JSON.parse(raw); } catch { return; }
 
+    if (OPERATOR_MESSAGES.has(msg.type) && ws.role !== "operator") {
+      ws.send(JSON.stringify({ type: "error", request: msg.type, error: `"${msg.type}" needs an operator token` }));
+      return;
+    }
+
     if (msg.type === "prompt") {
       // Start a new Claude Code session
       spawnClaudeSession(ws, msg);
     } else if (msg.type === "respond") {
-      // Send text to a running session's stdin (permission response or follow-up)
+      // A follow-up message — the next user turn of a running session
       const session = managedProcesses.get(msg.sessionTag);
-      if (session?.proc?.stdin?.writable) {
-        session.proc.stdin.write(msg.text + "\n");
+      if (!session?.proc?.stdin?.writable) {
+        ws.send(JSON.stringify({ type: "error", request: msg.type, error: "That session is no longer running" }));
+      } else if (typeof msg.text === "string" && msg.text.trim()) {
+        sendUserTurn(session, msg.text);
+      }
+    } else if (msg.type === "interrupt") {
+      // Stop the current turn; the session stays up for the next message
+      if (!interruptSession(msg.sessionTag)) {
+        ws.send(JSON.stringify({ type: "error", request: msg.type, error: "That session is no longer running" }));
+      }
+    } else if (msg.type === "permission_response") {
+      // Answer a structured permission request (see apiSessionPermission)
+      if (!["allow", "deny", "always"].includes(msg.decision)) {
+        ws.send(JSON.stringify({ type: "error", request: msg.type, error: 'decision must be "allow", "deny" or "always"' }));
+      } else if (!resolvePermission(msg.sessionTag, msg.requestId, msg.decision, msg.message)) {
+        ws.send(JSON.stringify({ type: "error", request: msg.type, error: "That permission request was already answered or has expired" }));
       }
     } else if (msg.type === "kill") {
       // Kill a managed session
-      const session = managedProcesses.get(msg.sessionTag);
-      if (session?.proc) {
-        session.proc.kill("SIGTERM");
-        managedProcesses.delete(msg.sessionTag);
+      killSession(msg.sessionTag);
+    } else if (msg.type === "attach_session") {
+      // Take over a running session, replaying what it has said so far
+      if (!attachSession(ws, msg.sessionTag)) {
+        ws.send(JSON.stringify({ type: "error", request: msg.type, error: "That session is no longer running" }));
       }
+    } else if (msg.type === "detach_session") {
+      // Stop following a session without ending it
+      detachSession(ws, msg.sessionTag);
     } else if (msg.type === "send_inbox_message") {
       // Write a message to a teammate's inbox file
       const { teamName, targetAgent, fromName, text } = msg;
@@ -157,6 +919,22 @@ wss.on("connection", (ws) => {
           }
         }
       }
+    } else if (TASK_MESSAGES.has(msg.type)) {
+      handleTaskMessage(ws, msg);
+    } else if (TEAM_MESSAGES.has(msg.type)) {
+      handleTeamMessage(ws, msg);
+    } else if (SESSION_PRESET_MESSAGES.has(msg.type)) {
+      handleSessionPresetMessage(ws, msg);
+    } else if (msg.type === "playback_control") {
+      handlePlaybackControl(msg);
+    } else if (msg.type === "subscribe_transcript") {
+      // Live-tail one agent's transcript (the panel shows one at a time)
+      const agent = knownAgents.get(msg.agentId);
+      const file = agent ? findTranscript(agent) : null;
+      ws.transcript = file ? { agentId: agent.id, file } : null;
+      ws.send(JSON.stringify({ type: "transcript_subscribed", agentId: msg.agentId, found: !!file }));
+    } else if (msg.type === "unsubscribe_transcript") {
+      ws.transcript = null;
     } else if (msg.type === "get_agent_context") {
       // Return full context for a specific agent: inbox, tasks, team info
       const agentId = msg.agentId;
@@ -204,33 +982,542 @@ wss.on("connection", (ws) => {
 
   ws.on("close", () => {
     clients.delete(ws);
-    // Clean up any processes owned by this client
-    for (const [tag, session] of managedProcesses) {
-      if (session.ws === ws) {
-        session.proc?.kill("SIGTERM");
-        managedProcesses.delete(tag);
+    // Sessions outlive the tab that was following them
+    for (const tag of managedProcesses.keys()) detachSession(ws, tag);
+  });
+});
+
+// Stop a managed session (kill button, budget breach, server exit)
+function killSession(tag) {
+  const session = managedProcesses.get(tag);
+  if (!session?.proc) return false;
+  // Signal the whole process group so anything claude started stops too
+  try {
+    if (process.platform === "win32") session.proc.kill("SIGTERM");
+    else process.kill(-session.proc.pid, "SIGTERM");
+  } catch {
+    session.proc.kill("SIGTERM");
+  }
+  cancelPermissionRequests(tag);
+  removePermissionConfig(session.permissionConfig);
+  managedProcesses.delete(tag);
+  broadcastSessions();
+  return true;
+}
+
+// Sessions run in their own process group, so take them down with the server
+function killAllSessions() {
+  for (const tag of [...managedProcesses.keys()]) killSession(tag);
+}
+process.on("exit", killAllSessions);
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => process.exit(0));
+}
+
+// ── Session stream-json → structured events for the Session tab ──
+// Each stream-json line becomes zero or more { kind, ... } events:
+//   init         { sessionId, model, cwd, tools, permissionMode }
+//   text_delta   { messageId, index, text }  streamed text (--include-partial-messages)
+//   text         { messageId, text }         a finished text block, replaces its deltas
+//   thinking     { messageId, text }
+//   tool_use     { id, name, input }         the full input
+//   tool_result  { toolUseId, text, clipped?, isError }
+//   result       { subtype, isError, result, durationMs, numTurns, costUsd, usage }
+//   interrupted  { ok, error }              the answer to an interrupt (see interruptSession)
+//   error        { text }
+//   raw          { text }                    anything else, as it came
+// Events from inside a subagent carry parentToolUseId.
+function sessionEvents(obj, session) {
+  const parent = obj.parent_tool_use_id ? { parentToolUseId: obj.parent_tool_use_id } : {};
+  if (obj.type === "system" && obj.subtype === "init") {
+    return [{ kind: "init", sessionId: obj.session_id || null, model: obj.model || null, cwd: obj.cwd || null,
+      tools: Array.isArray(obj.tools) ? obj.tools : [], permissionMode: obj.permissionMode || null }];
+  }
+  if (obj.type === "stream_event") {
+    const event = obj.event || {};
+    // Deltas don't name their message — remember it from message_start
+    if (event.type === "message_start") session.streamMessageId = event.message?.id || null;
+    if (event.type === "content_block_delta" && event.delta?.type === "text_delta") {
+      return [{ kind: "text_delta", messageId: session.streamMessageId || null, index: event.index ?? 0, text: event.delta.text, ...parent }];
+    }
+    return [];
+  }
+  if (obj.type === "assistant" || obj.type === "user") {
+    const content = obj.message?.content ?? obj.content;
+    const blocks = typeof content === "string" ? [{ type: "text", text: content }] : Array.isArray(content) ? content : [];
+    const messageId = obj.message?.id || null;
+    const events = [];
+    for (const block of blocks) {
+      if (obj.type === "assistant" && block.type === "text" && block.text) {
+        events.push({ kind: "text", messageId, text: block.text, ...parent });
+      } else if (block.type === "thinking" && block.thinking) {
+        events.push({ kind: "thinking", messageId, text: block.thinking, ...parent });
+      } else if (block.type === "tool_use") {
+        events.push({ kind: "tool_use", id: block.id, name: block.name, input: block.input ?? {}, ...parent });
+      } else if (block.type === "tool_result") {
+        const text = Array.isArray(block.content)
+          ? block.content.map(c => c.type === "text" ? c.text : `[${c.type}]`).join("\n")
+          : block.content ?? "";
+        events.push({ kind: "tool_result", toolUseId: block.tool_use_id, ...clipText(text), isError: !!block.is_error, ...parent });
+      }
+    }
+    return events;
+  }
+  if (obj.type === "result") {
+    return [{ kind: "result", subtype: obj.subtype || null, isError: !!obj.is_error, result: obj.result ?? null,
+      durationMs: obj.duration_ms ?? null, numTurns: obj.num_turns ?? null, costUsd: obj.total_cost_usd ?? null, usage: obj.usage || null }];
+  }
+  if (obj.type === "control_response") {
+    const response = obj.response || {};
+    if (!session.controlRequests?.delete(response.request_id)) return [];
+    return [{ kind: "interrupted", ok: response.subtype === "success", error: response.error || null }];
+  }
+  if (obj.type === "error") return [{ kind: "error", text: obj.error?.message || JSON.stringify(obj) }];
+  return [{ kind: "raw", text: JSON.stringify(obj).substring(0, 500) }];
+}
+
+// ── Talking to a session over stream-json input ──────────────────
+// Sessions run with --input-format stream-json and keep stdin open: every
+// user turn is one JSON line, and control requests (interrupt) go the same
+// way. Claude Code acknowledges those with a control_response, which
+// sessionEvents reports as an "interrupted" event.
+function sendUserTurn(session, text) {
+  session.proc.stdin.write(JSON.stringify({
+    type: "user",
+    message: { role: "user", content: [{ type: "text", text }] },
+    parent_tool_use_id: null,
+  }) + "\n");
+  // Recorded for replay (see replayEvents) — stdout never echoes it
+  appendSessionBuffer(session, JSON.stringify({ type: "observer_user_turn", text }));
+  session.turnRunning = true;
+  broadcastSessions();
+}
+
+function interruptSession(tag) {
+  const session = managedProcesses.get(tag);
+  if (!session?.proc?.stdin?.writable) return false;
+  const requestId = "req_" + crypto.randomBytes(6).toString("hex");
+  session.controlRequests.set(requestId, "interrupt");
+  session.proc.stdin.write(JSON.stringify({ type: "control_request", request_id: requestId, request: { subtype: "interrupt" } }) + "\n");
+  console.log(`  ⏸ Interrupting session [${tag}]`);
+  return true;
+}
+
+// ── Permission prompts for spawned sessions ──────────────────────
+// Sessions run with --permission-prompt-tool pointing at
+// scripts/permission-prompt.js, a small MCP server that POSTs each request to
+// /api/sessions/:tag/permission with the session's secret and waits for the
+// answer. The session's client gets a permission_request and replies with
+// permission_response { requestId, decision: "allow" | "deny" | "always" }.
+// "always" adds a rule to the session's allowRules, so the same call goes
+// through without asking next time. Unanswered requests are denied after
+// permissionTimeoutSeconds (default 300).
+const PERMISSION_TOOL = "mcp__swarm_observer__permission_prompt";
+const PERMISSION_HELPER = path.join(__dirname, "scripts", "permission-prompt.js");
+const PERMISSION_TIMEOUT_MS = (Number(config.permissionTimeoutSeconds) || 300) * 1000;
+
+// The helper's MCP config carries the session's secret, so it goes in a file
+// only we can read rather than on the command line, where ps would show it.
+// Returns the file's path; removePermissionConfig deletes it with the session.
+function writePermissionConfig(tag, secret) {
+  const host = HOST === "0.0.0.0" || HOST === "::" ? "127.0.0.1" : HOST.includes(":") ? `[${HOST}]` : HOST;
+  const helper = { mcpServers: { swarm_observer: {
+    command: process.execPath,
+    args: [PERMISSION_HELPER],
+    env: { SWARM_OBSERVER_URL: `http://${host}:${PORT}`, SWARM_SESSION_TAG: tag, SWARM_SESSION_SECRET: secret },
+  } } };
+  const file = path.join(require("os").tmpdir(), `swarm-observer-${tag}.json`);
+  // "wx": never write through a file (or symlink) someone put there first
+  fs.writeFileSync(file, JSON.stringify(helper), { mode: 0o600, flag: "wx" });
+  return file;
+}
+
+function removePermissionConfig(file) {
+  if (!file) return;
+  try { fs.unlinkSync(file); } catch {}
+}
+
+// configFile: from writePermissionConfig. mcpConfig: the user's own
+// --mcp-config file (see validateSessionOptions), loaded alongside the helper.
+function permissionArgs(configFile, mcpConfig) {
+  return ["--mcp-config", configFile, ...(mcpConfig ? [mcpConfig] : []), "--permission-prompt-tool", PERMISSION_TOOL];
+}
+
+// Bash calls are remembered by their exact command, other tools by name
+function permissionRule(toolName, input) {
+  return toolName === "Bash" && typeof input.command === "string" ? `Bash(${input.command})` : toolName;
+}
+
+function sendToSessionClient(session, data) {
+  if (session.ws?.readyState === 1) session.ws.send(JSON.stringify(data));
+}
+
+// The session's agent shows as blocked while a request waits (see blockedReason),
+// and so does the session in the session list
+function refreshSessionBlocked(session) {
+  const agent = session.sessionId && knownAgents.get(session.sessionId);
+  if (agent && refreshBlocked(agent)) broadcast({ type: "agent_update", agent });
+  broadcastSessions();
+}
+
+function apiSessionPermission(req, res, params) {
+  const tag = params.tag;
+  const session = managedProcesses.get(tag);
+  if (!session) return sendError(res, 404, `No running session "${tag}"`);
+  const allowed = req.role === "session" ? tokenMatches(requestToken(req), session.permissionSecret) : req.role === "operator";
+  if (!allowed) return sendError(res, 403, "Not allowed to ask for this session's permissions");
+
+  readRequestBody(req, INGEST_MAX_BYTES, (err, body) => {
+    if (err) return sendError(res, err.status, err.message);
+    let request;
+    try { request = JSON.parse(body); } catch { return sendError(res, 400, "Body must be JSON"); }
+    if (typeof request?.tool_name !== "string" || !request.tool_name) return sendError(res, 400, "tool_name is required");
+    if (!managedProcesses.has(tag)) return sendError(res, 404, `No running session "${tag}"`);
+
+    const input = request.input && typeof request.input === "object" ? request.input : {};
+    const rule = permissionRule(request.tool_name, input);
+    if (session.allowRules.has(rule)) return sendJson(res, 200, { behavior: "allow", updatedInput: input });
+
+    const id = Math.random().toString(36).substr(2, 9);
+    session.permissionRequests.set(id, {
+      id, res, rule, input,
+      toolName: request.tool_name,
+      toolUseId: request.tool_use_id || null,
+      timer: setTimeout(() => resolvePermission(tag, id, "deny", `No answer within ${PERMISSION_TIMEOUT_MS / 1000}s`), PERMISSION_TIMEOUT_MS),
+    });
+    // The helper gave up (or its session ended) before anyone answered
+    res.on("close", () => resolvePermission(tag, id, "cancelled"));
+
+    console.log(`  🔐 [${tag}] ${request.tool_name} asks for permission`);
+    sendToSessionClient(session, permissionRequestMessage(tag, session.permissionRequests.get(id)));
+    refreshSessionBlocked(session);
+  });
+}
+
+function permissionRequestMessage(tag, pending) {
+  return {
+    type: "permission_request", sessionTag: tag, requestId: pending.id,
+    toolName: pending.toolName, input: pending.input, toolUseId: pending.toolUseId, rule: pending.rule,
+  };
+}
+
+// decision: "allow", "always", "deny" or "cancelled"; false if nothing was waiting
+function resolvePermission(tag, requestId, decision, message) {
+  const session = managedProcesses.get(tag);
+  const pending = session?.permissionRequests.get(requestId);
+  if (!pending) return false;
+  session.permissionRequests.delete(requestId);
+  clearTimeout(pending.timer);
+  if (decision === "always") session.allowRules.add(pending.rule);
+
+  if (!pending.res.writableEnded) {
+    sendJson(pending.res, 200, decision === "allow" || decision === "always"
+      ? { behavior: "allow", updatedInput: pending.input }
+      : { behavior: "deny", message: message || "Denied from Swarm Observer" });
+  }
+  console.log(`  🔐 [${tag}] ${pending.toolName}: ${decision}`);
+  sendToSessionClient(session, {
+    type: "permission_resolved", sessionTag: tag, requestId, decision,
+    toolName: pending.toolName, rule: pending.rule, message: message || null,
+  });
+  refreshSessionBlocked(session);
+  return true;
+}
+
+function cancelPermissionRequests(tag) {
+  const session = managedProcesses.get(tag);
+  for (const id of [...(session?.permissionRequests.keys() || [])]) resolvePermission(tag, id, "cancelled");
+}
+
+// ── Session list and reattach ────────────────────────────────────
+// Sessions belong to the server, not to the tab that started them. A client
+// that closes (or sends detach_session) leaves its sessions running with
+// session.ws = null until someone kills them. session.buffer keeps the
+// complete stdout lines plus the user turns, so attach_session can replay the
+// conversation to any operator and hand the session over, permission
+// requests still waiting included. Everyone gets the list as "sessions".
+const SESSION_BUFFER_MAX = 2 * 1024 * 1024; // characters of replay kept per session
+
+function appendSessionBuffer(session, line) {
+  session.buffer += line + "\n";
+  if (session.buffer.length <= SESSION_BUFFER_MAX) return;
+  // Drop whole lines from the front
+  const cut = session.buffer.indexOf("\n", session.buffer.length - SESSION_BUFFER_MAX);
+  session.buffer = session.buffer.substring(cut + 1);
+  session.bufferTrimmed = true;
+}
+
+// "starting" until Claude Code's init, then "running" during a turn, "waiting"
+// between turns, and "blocked" while a permission request waits
+function sessionStatus(session) {
+  if (session.permissionRequests.size) return "blocked";
+  if (!session.sessionId) return "starting";
+  return session.turnRunning ? "running" : "waiting";
+}
+
+function sessionSummary(tag, session) {
+  return {
+    sessionTag: tag,
+    sessionId: session.sessionId || null,
+    pid: session.proc.pid ?? null,
+    cwd: session.cwd,
+    prompt: session.prompt,
+    options: session.options,
+    teamName: session.team?.teamName || null,
+    memberName: session.team?.memberName || null,
+    status: sessionStatus(session),
+    startTime: session.startTime,
+    uptimeMs: Date.now() - session.startTime,
+    attached: !!session.ws,
+    pendingPermissions: session.permissionRequests.size,
+  };
+}
+
+function listSessions() {
+  return [...managedProcesses].map(([tag, session]) => sessionSummary(tag, session));
+}
+
+function broadcastSessions() {
+  broadcast({ type: "sessions", sessions: listSessions() });
+}
+
+// The buffer as session events, with the user's turns as { kind: "user" }.
+// Deltas are left out for messages whose finished text is there.
+function replayEvents(session) {
+  const state = {};
+  const events = [];
+  for (const line of session.buffer.split("\n")) {
+    if (!line.trim()) continue;
+    let obj;
+    try { obj = JSON.parse(line); } catch { obj = null; }
+    if (!obj || typeof obj !== "object") events.push({ kind: "raw", text: line });
+    else if (obj.type === "observer_user_turn") events.push({ kind: "user", text: obj.text });
+    else events.push(...sessionEvents(obj, state));
+  }
+  const finished = new Set(events.filter(e => e.kind === "text").map(e => e.messageId));
+  return events.filter(e => e.kind !== "text_delta" || !finished.has(e.messageId));
+}
+
+function attachSession(ws, tag) {
+  const session = managedProcesses.get(tag);
+  if (!session) return false;
+  const previous = session.ws;
+  session.ws = ws;
+  if (previous && previous !== ws && previous.readyState === 1) {
+    previous.send(JSON.stringify({ type: "session_detached", sessionTag: tag, reason: "Attached from another window" }));
+  }
+  ws.send(JSON.stringify({
+    type: "session_attached",
+    session: sessionSummary(tag, session),
+    events: replayEvents(session),
+    truncated: !!session.bufferTrimmed,
+  }));
+  for (const pending of session.permissionRequests.values()) {
+    sendToSessionClient(session, permissionRequestMessage(tag, pending));
+  }
+  console.log(`  🔗 Session [${tag}] attached`);
+  broadcastSessions();
+  return true;
+}
+
+function detachSession(ws, tag) {
+  const session = managedProcesses.get(tag);
+  if (!session || session.ws !== ws) return false;
+  session.ws = null;
+  console.log(`  🔌 Session [${tag}] detached — still running`);
+  broadcastSessions();
+  return true;
+}
+
+// ── Session options and presets ──────────────────────────────────
+// The prompt message may carry options for the claude command line:
+//   { model, permissionMode, allowedTools, disallowedTools,
+//     appendSystemPrompt, mcpConfig, maxTurns }
+// They're checked by validateSessionOptions before any args are built; a bad
+// one refuses the whole launch. Presets are named option sets shared by all
+// operators, kept in ~/.claude/swarm-viz/session-presets.json (in memory in
+// demo mode) and managed with save_session_preset / delete_session_preset.
+const PERMISSION_MODES = ["default", "acceptEdits", "plan", "bypassPermissions"];
+const MODEL_RE = /^[A-Za-z0-9][A-Za-z0-9._:\[\]-]{0,99}$/;
+// A tool name, optionally with a rule: Read, mcp__github__get_issue, Bash(git log:*)
+const TOOL_RULE_RE = /^[A-Za-z_][\w-]*(\([^\n()]{1,200}\))?$/;
+const MAX_SYSTEM_PROMPT_CHARS = 20000;
+// On Windows the command line goes through cmd.exe (claude is a .cmd shim),
+// which reinterprets these even inside the quotes spawnClaudeSession adds
+const WINDOWS_SHELL_UNSAFE_RE = /["%!^&|<>\r\n]/;
+const RESUME_ID_RE = /^[A-Za-z0-9-]{1,100}$/;
+const MAX_TURNS_LIMIT = 1000;
+const MAX_PRESET_NAME = 64;
+const SESSION_PRESETS_FILE = path.join(EVENTS_DIR, "session-presets.json");
+const SESSION_PRESET_MESSAGES = new Set(["save_session_preset", "delete_session_preset"]);
+
+// Returns { options } with empty fields dropped, or { error }. Without a cwd
+// (presets) mcpConfig is kept as written; at launch it must name a file,
+// relative paths resolving against the session's cwd.
+function validateSessionOptions(raw, cwd) {
+  if (raw === undefined || raw === null) return { options: {} };
+  if (typeof raw !== "object" || Array.isArray(raw)) return { error: "options must be an object" };
+  const options = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (value === null || value === "" || (Array.isArray(value) && !value.length)) continue;
+    switch (key) {
+      case "model":
+        if (typeof value !== "string" || !MODEL_RE.test(value.trim())) return { error: "model must be a model alias or name, like sonnet" };
+        options.model = value.trim();
+        break;
+      case "permissionMode":
+        if (!PERMISSION_MODES.includes(value)) return { error: `permissionMode must be one of ${PERMISSION_MODES.join(", ")}` };
+        options.permissionMode = value;
+        break;
+      case "allowedTools":
+      case "disallowedTools": {
+        const list = typeof value === "string" ? value.split(",") : value;
+        if (!Array.isArray(list)) return { error: `${key} must be a list of tools` };
+        const tools = list.map(t => typeof t === "string" ? t.trim() : t).filter(t => t !== "");
+        const bad = tools.find(t => typeof t !== "string" || !TOOL_RULE_RE.test(t));
+        if (bad !== undefined) return { error: `${key}: ${JSON.stringify(bad)} isn't a tool name or rule like Bash(git log:*)` };
+        if (tools.length) options[key] = tools;
+        break;
+      }
+      case "appendSystemPrompt":
+        if (typeof value !== "string") return { error: "appendSystemPrompt must be text" };
+        if (value.length > MAX_SYSTEM_PROMPT_CHARS) return { error: `appendSystemPrompt is over ${MAX_SYSTEM_PROMPT_CHARS} characters` };
+        if (value.trim()) options.appendSystemPrompt = value;
+        break;
+      case "mcpConfig": {
+        if (typeof value !== "string" || value.includes("\n")) return { error: "mcpConfig must be a file path" };
+        if (!value.trim()) break;
+        if (!cwd) { options.mcpConfig = value.trim(); break; }
+        const file = path.resolve(cwd, value.trim());
+        let isFile = false;
+        try { isFile = fs.statSync(file).isFile(); } catch {}
+        if (!isFile) return { error: `mcpConfig file not found: ${file}` };
+        options.mcpConfig = file;
+        break;
+      }
+      case "maxTurns": {
+        const turns = Number(value);
+        if (!Number.isInteger(turns) || turns < 1 || turns > MAX_TURNS_LIMIT) return { error: `maxTurns must be a whole number from 1 to ${MAX_TURNS_LIMIT}` };
+        options.maxTurns = turns;
+        break;
       }
+      default:
+        return { error: `Unknown session option "${key}"` };
     }
-  });
-});
+  }
+  if (process.platform === "win32") {
+    const unsafe = Object.entries(options).find(([, value]) => [].concat(value).some(v => WINDOWS_SHELL_UNSAFE_RE.test(String(v))));
+    if (unsafe) return { error: `${unsafe[0]} can't contain " % ! ^ & | < > or line breaks on Windows` };
+  }
+  return { options };
+}
+
+// Flags for validated options (mcpConfig goes through permissionArgs). The
+// "=" forms keep values that start with "-" from reading as flags.
+function sessionOptionArgs(options) {
+  const args = [];
+  if (options.model) args.push(`--model=${options.model}`);
+  if (options.permissionMode && options.permissionMode !== "default") args.push(`--permission-mode=${options.permissionMode}`);
+  if (options.allowedTools) args.push("--allowedTools", ...options.allowedTools);
+  if (options.disallowedTools) args.push("--disallowedTools", ...options.disallowedTools);
+  if (options.appendSystemPrompt) args.push(`--append-system-prompt=${options.appendSystemPrompt}`);
+  if (options.maxTurns) args.push(`--max-turns=${options.maxTurns}`);
+  return args;
+}
+
+function loadSessionPresets() {
+  const saved = readJsonSafe(SESSION_PRESETS_FILE);
+  if (!Array.isArray(saved?.presets)) return [];
+  return saved.presets.filter(p => typeof p?.name === "string" && p.options && typeof p.options === "object");
+}
+
+// [{ name, options, updatedAt }] in the order they were first saved
+let sessionPresets = DEMO ? [] : loadSessionPresets();
+
+function writeSessionPresets(presets) {
+  if (DEMO) return true;
+  try {
+    fs.mkdirSync(EVENTS_DIR, { recursive: true });
+    fs.writeFileSync(SESSION_PRESETS_FILE + ".tmp", JSON.stringify({ presets }, null, 2));
+    fs.renameSync(SESSION_PRESETS_FILE + ".tmp", SESSION_PRESETS_FILE);
+    return true;
+  } catch (e) {
+    console.log(`  ❌ Failed to write session presets: ${e.message}`);
+    return false;
+  }
+}
+
+function handleSessionPresetMessage(ws, msg) {
+  const reply = (data) => ws.send(JSON.stringify({ request: msg.type, ...data }));
+  const fail = (error) => reply({ type: "session_preset_error", name: msg.name ?? null, error });
+  const name = typeof msg.name === "string" ? msg.name.trim() : "";
+  if (!name || name.length > MAX_PRESET_NAME) return fail(`Preset names are 1–${MAX_PRESET_NAME} characters`);
+
+  let presets;
+  if (msg.type === "save_session_preset") {
+    const { options, error } = validateSessionOptions(msg.options, null);
+    if (error) return fail(error);
+    const preset = { name, options, updatedAt: Date.now() };
+    presets = sessionPresets.some(p => p.name === name)
+      ? sessionPresets.map(p => p.name === name ? preset : p)
+      : [...sessionPresets, preset];
+  } else {
+    if (!sessionPresets.some(p => p.name === name)) return fail(`No preset named "${name}"`);
+    presets = sessionPresets.filter(p => p.name !== name);
+  }
+  if (!writeSessionPresets(presets)) return fail("Failed to write the presets file");
+  sessionPresets = presets;
+
+  console.log(`  🎛  Session preset "${name}" ${msg.type === "save_session_preset" ? "saved" : "deleted"}`);
+  reply({ type: "session_preset_saved", name, deleted: msg.type === "delete_session_preset" });
+  broadcast({ type: "session_presets", presets: sessionPresets });
+}
 
 function spawnClaudeSession(ws, msg) {
   const tag = "ui-" + Date.now().toString(36) + Math.random().toString(36).substr(2, 4);
+  const permissionSecret = crypto.randomBytes(18).toString("hex");
   const cwd = msg.cwd || process.cwd();
   const prompt = msg.text || "";
   const resumeId = msg.resumeSessionId || null;
-
-  // Build command args — use --output-format stream-json so Claude produces
-  // streaming output even when stdout is not a TTY (piped from Node spawn).
-  const args = ["--output-format", "stream-json"];
-  if (resumeId) {
-    args.push("--resume", resumeId);
-  } else {
-    args.push("-p", prompt);
+  const identity = msg.team ? teamMemberIdentity(msg.team.teamName, msg.team.memberName) : null;
+  let { options, error: optionsError } = validateSessionOptions(msg.options, cwd);
+  if (resumeId && !RESUME_ID_RE.test(resumeId)) optionsError = "resumeSessionId isn't a session id";
+  if (optionsError) {
+    // No sessionTag: nothing was started for the client to match it against
+    ws.send(JSON.stringify({
+      type: "session_error",
+      error: `Invalid session options: ${optionsError}`,
+    }));
+    return;
+  }
+  let permissionConfig;
+  try {
+    permissionConfig = writePermissionConfig(tag, permissionSecret);
+  } catch (e) {
+    ws.send(JSON.stringify({
+      type: "session_error",
+      error: `Failed to write the permission helper config: ${e.message}`,
+    }));
+    return;
   }
 
+  // Build command args — stream-json both ways: Claude produces streaming
+  // output even though stdout is a pipe, and reads user turns from stdin
+  // (see sendUserTurn), so the session lives on between turns.
+  // Partial messages stream the assistant's text as it's written.
+  const args = [
+    "-p", "--input-format", "stream-json", "--output-format", "stream-json",
+    "--verbose", "--include-partial-messages",
+    ...permissionArgs(permissionConfig, options.mcpConfig),
+    ...sessionOptionArgs(identity
+      ? { ...options, appendSystemPrompt: [identity.prompt, options.appendSystemPrompt].filter(Boolean).join(" ") }
+      : options),
+  ];
+  if (resumeId) args.push("--resume", resumeId);
+
   console.log(`  🚀 Spawning Claude session [${tag}] in ${cwd}`);
   console.log(`     Prompt: ${prompt.substring(0, 100)}...`);
+  if (Object.keys(options).length) console.log(`     Options: ${Object.keys(options).join(", ")}`);
 
   let proc;
   try {
@@ -247,18 +1534,20 @@ function spawnClaudeSession(ws, msg) {
       proc = spawn(cmdStr, [], {
         cwd,
         shell: true,
-        env: { ...process.env },
+        env: { ...process.env, ...identity?.env },
         stdio: ["pipe", "pipe", "pipe"],
       });
     } else {
+      // No shell: the system prompt and tool rules must reach claude as written
       proc = spawn("claude", args, {
         cwd,
-        shell: true,
-        env: { ...process.env },
+        detached: true, // own process group, see killSession()
+        env: { ...process.env, ...identity?.env },
         stdio: ["pipe", "pipe", "pipe"],
       });
     }
   } catch (e) {
+    removePermissionConfig(permissionConfig);
     ws.send(JSON.stringify({
       type: "session_error",
       sessionTag: tag,
@@ -268,7 +1557,26 @@ function spawnClaudeSession(ws, msg) {
   }
 
   console.log(`     PID: ${proc.pid}`);
-  managedProcesses.set(tag, { proc, ws, buffer: "", lineBuffer: "", startTime: Date.now() });
+  const budget = normalizeBudget(config.budgets?.session, msg.budget);
+  managedProcesses.set(tag, {
+    proc,
+    ws,          // the client following the session, null while detached
+    buffer: "",  // complete lines for replay, see appendSessionBuffer
+    lineBuffer: "", startTime: Date.now(),
+    cwd, prompt: prompt.substring(0, 200), options,
+    turnRunning: false,
+    team: msg.team || null, // { teamName, memberName } for launched team members
+    budget: Object.keys(budget).length ? budget : null,
+    budgetState: { warned: new Set(), exceeded: false },
+    permissionSecret,
+    permissionConfig,              // the helper's config file, see writePermissionConfig
+    allowRules: new Set(),         // see permissionRule
+    permissionRequests: new Map(), // requestId -> waiting request, see apiSessionPermission
+    controlRequests: new Map(),    // request_id -> subtype, until Claude Code answers
+  });
+  // Writing to a session that just exited mustn't take the server down
+  proc.stdin.on("error", (e) => console.log(`  ⚠ [${tag}] stdin: ${e.message}`));
+  if (prompt) sendUserTurn(managedProcesses.get(tag), prompt);
 
   // Notify UI that session started
   ws.send(JSON.stringify({
@@ -276,13 +1584,19 @@ function spawnClaudeSession(ws, msg) {
     sessionTag: tag,
     cwd,
     prompt: prompt.substring(0, 200),
+    budget: managedProcesses.get(tag).budget,
+    options,
+    teamName: msg.team?.teamName,
+    memberName: msg.team?.memberName,
   }));
+  broadcastSessions();
 
-  // Helper: safely send to the client WS (may have disconnected)
+  // Helper: safely send to whoever follows the session now (may have disconnected)
   // WebSocket readyState: 0=CONNECTING, 1=OPEN, 2=CLOSING, 3=CLOSED
+  const sessionRef = managedProcesses.get(tag); // still valid once the session is gone
   function safeSend(data) {
-    const session = managedProcesses.get(tag);
-    const targetWs = session?.ws || ws;
+    const targetWs = sessionRef.ws;
+    if (!targetWs) return; // detached: stdout is kept in session.buffer for replay
     try {
       if (targetWs.readyState === 1) {
         targetWs.send(JSON.stringify(data));
@@ -299,34 +1613,45 @@ function spawnClaudeSession(ws, msg) {
   // Track whether we've received any output
   let gotOutput = false;
 
-  // Parse stream-json output: each line is a JSON object with type/content
-  function parseStreamJson(text) {
-    const lines = text.split("\n").filter(l => l.trim());
-    const parts = [];
-    for (const line of lines) {
-      try {
-        const obj = JSON.parse(line);
-        // stream-json emits objects like: {"type":"assistant","content":"..."} or {"type":"result","result":"..."}
-        if (obj.type === "assistant" && obj.content) {
-          parts.push({ text: obj.content, cls: "assistant" });
-        } else if (obj.type === "result" && obj.result) {
-          parts.push({ text: obj.result, cls: "assistant" });
-        } else if (obj.type === "tool_use" || obj.type === "tool_result") {
-          const toolName = obj.name || obj.tool_name || "";
-          const toolInput = obj.input ? JSON.stringify(obj.input).substring(0, 200) : "";
-          parts.push({ text: `[${toolName}] ${toolInput}`, cls: "tool" });
-        } else if (obj.type === "error") {
-          parts.push({ text: obj.error?.message || JSON.stringify(obj), cls: "error" });
-        } else {
-          // Fallback: just show the raw line
-          parts.push({ text: line.substring(0, 500), cls: "system" });
-        }
-      } catch {
-        // Not JSON — emit raw text
-        if (line.trim()) parts.push({ text: line, cls: "system" });
+  // Claude Code's own bookkeeping from the stream: session id, usage, totals
+  function trackStreamJson(obj) {
+    const session = managedProcesses.get(tag);
+    if (obj.type === "system" && obj.subtype === "init" && obj.session_id) {
+      if (session) {
+        session.sessionId = obj.session_id;
+        linkTeamSession(session);
+      }
+      broadcastSessions();
+    } else if (obj.type === "assistant" && obj.message?.usage) {
+      recordUsage(obj.session_id, obj.message.model, obj.message.usage, obj.message.id);
+    } else if (obj.type === "result") {
+      // Session-level totals as reported by Claude Code itself
+      if (session) {
+        session.result = { usage: obj.usage || null, costUsd: obj.total_cost_usd ?? null };
+        session.turnRunning = false;
+      }
+      broadcastSessions();
+    }
+  }
+
+  // Forward complete stdout lines: stream-json objects as session_event,
+  // anything else as plain session_output
+  function forwardLines(text) {
+    const session = managedProcesses.get(tag);
+    for (const line of text.split("\n")) {
+      if (!line.trim()) continue;
+      if (session) appendSessionBuffer(session, line);
+      let obj;
+      try { obj = JSON.parse(line); } catch { obj = null; }
+      if (!obj || typeof obj !== "object") {
+        safeSend({ type: "session_output", sessionTag: tag, text: line });
+        continue;
+      }
+      trackStreamJson(obj);
+      for (const event of sessionEvents(obj, session || {})) {
+        safeSend({ type: "session_event", sessionTag: tag, event });
       }
     }
-    return parts;
   }
 
   // Stream stdout to the UI — buffer partial lines across chunks
@@ -335,7 +1660,6 @@ function spawnClaudeSession(ws, msg) {
     gotOutput = true;
 
     const session = managedProcesses.get(tag);
-    if (session) session.buffer += raw;
 
     console.log(`  📤 [${tag}] stdout (${raw.length} chars): ${raw.substring(0, 100).replace(/\n/g, "\\n")}...`);
 
@@ -348,37 +1672,8 @@ function spawnClaudeSession(ws, msg) {
       return;
     }
     // Split into complete lines and leftover partial
-    const completeText = lb.substring(0, lastNewline);
     if (session) session.lineBuffer = lb.substring(lastNewline + 1);
-
-    // Parse stream-json and forward readable text to the UI
-    const parts = parseStreamJson(completeText);
-    for (const part of parts) {
-      // Detect permission prompts
-      const needsPermission = /(?:Allow|Approve|permit).*\?/i.test(part.text) ||
-                              /Do you want to (?:proceed|allow)/i.test(part.text) ||
-                              /\b(?:Y\/n|yes\/no)\b/i.test(part.text) ||
-                              /\bProceed\s*\?/i.test(part.text) ||
-                              /\bapprove\b/i.test(part.text) ||
-                              /(?:tool|action|operation)\s+(?:approval|permission)/i.test(part.text);
-
-      safeSend({
-        type: "session_output",
-        sessionTag: tag,
-        text: part.text,
-        needsPermission,
-        isError: part.cls === "error",
-      });
-    }
-
-    // If no parts were parsed (e.g. non-JSON text), send raw complete lines
-    if (parts.length === 0 && completeText.trim()) {
-      safeSend({
-        type: "session_output",
-        sessionTag: tag,
-        text: completeText,
-      });
-    }
+    forwardLines(lb.substring(0, lastNewline));
   });
 
   proc.stderr.on("data", (chunk) => {
@@ -397,32 +1692,29 @@ function spawnClaudeSession(ws, msg) {
     console.log(`  ⏹ Claude session [${tag}] exited with code ${code}`);
     // Flush any remaining line buffer before ending
     const session = managedProcesses.get(tag);
-    const remaining = session?.lineBuffer?.trim();
-    if (remaining) {
-      const parts = parseStreamJson(remaining);
-      for (const part of parts) {
-        safeSend({ type: "session_output", sessionTag: tag, text: part.text, isError: part.cls === "error" });
-      }
-      if (parts.length === 0) {
-        safeSend({ type: "session_output", sessionTag: tag, text: remaining });
-      }
-    }
+    if (session?.lineBuffer?.trim()) forwardLines(session.lineBuffer);
+    cancelPermissionRequests(tag);
+    removePermissionConfig(permissionConfig);
     managedProcesses.delete(tag);
     safeSend({
       type: "session_ended",
       sessionTag: tag,
       exitCode: code,
     });
+    broadcastSessions();
   });
 
   proc.on("error", (err) => {
     console.log(`  ❌ Claude session [${tag}] error: ${err.message}`);
+    cancelPermissionRequests(tag);
+    removePermissionConfig(permissionConfig);
     managedProcesses.delete(tag);
     safeSend({
       type: "session_error",
       sessionTag: tag,
       error: err.message,
     });
+    broadcastSessions();
   });
 
   // Diagnostic: check after 15s if process produced any output
@@ -468,7 +1760,29 @@ function spawnClaudeSession(ws, msg) {
   }, 15000);
 }
 
+function buildSnapshot() {
+  return {
+    type: "snapshot",
+    agents: Object.fromEntries(knownAgents),
+    recentEvents: recentEvents.slice(-80),
+    recentMessages: recentMessages.slice(-30),
+    stats,
+    serverCwd: process.cwd(),
+    teams: getTeamsSnapshot(),
+    usage: usageSnapshot(),
+    workspaces: WORKSPACES.map(publicWorkspace),
+    playback: PLAYBACK_FILE ? playbackStatus() : null,
+    files: listFiles().slice(0, SNAPSHOT_FILES).map(f => fileSummary(f)),
+    fileHeat: FILE_HEAT,
+    conflicts: recentConflicts.slice(-20),
+    sessionPresets,
+    sessions: listSessions(),
+  };
+}
+
 function broadcast(data) {
+  // Nobody needs a live feed of history being rebuilt on startup
+  if (replaying) return;
   const json = JSON.stringify(data);
   for (const ws of clients) {
     if (ws.readyState === 1) ws.send(json);
@@ -483,6 +1797,13 @@ const recentEvents = [];       // last N events
 const recentMessages = [];     // last N inter-agent messages
 const MAX_EVENTS = 500;
 const MAX_MESSAGES = 100;
+const stats = { events: 0, tokens: 0, messages: 0 }; // running totals (survive the caps above)
+
+function recordMessage(message) {
+  recentMessages.push(message);
+  if (recentMessages.length > MAX_MESSAGES) recentMessages.shift();
+  stats.messages++;
+}
 
 // Color palette for auto-assigning agent colors
 const PALETTE = [
@@ -493,10 +1814,292 @@ const PALETTE = [
 ];
 let colorIndex = 0;
 
+// -------------------------------------------------------------------
+// Token & cost accounting (real `usage` blocks from transcripts and
+// stream-json output, priced per model)
+// -------------------------------------------------------------------
+
+// USD per million tokens. Matched by the longest key contained in the model id;
+// override or extend with "prices" in the config file.
+const DEFAULT_PRICES = {
+  "opus-4-5":  { input: 5,    output: 25, cacheRead: 0.5,  cacheWrite: 6.25 },
+  "opus-4-6":  { input: 5,    output: 25, cacheRead: 0.5,  cacheWrite: 6.25 },
+  "opus":      { input: 15,   output: 75, cacheRead: 1.5,  cacheWrite: 18.75 },
+  "sonnet":    { input: 3,    output: 15, cacheRead: 0.3,  cacheWrite: 3.75 },
+  "haiku-4-5": { input: 1,    output: 5,  cacheRead: 0.1,  cacheWrite: 1.25 },
+  "haiku":     { input: 0.8,  output: 4,  cacheRead: 0.08, cacheWrite: 1 },
+};
+const PRICES = { ...DEFAULT_PRICES, ...(config.prices || {}) };
+
+const usageByModel = new Map(); // model -> usage
+const usageByTeam = new Map();  // teamName -> usage
+const usageTotal = emptyUsage();
+const countedMessageIds = new Set(); // assistant message ids already counted
+const MAX_COUNTED_IDS = 20000;
+
+function emptyUsage() {
+  return { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, tokens: 0, cost: 0 };
+}
+
+function priceFor(model) {
+  const id = String(model || "").toLowerCase();
+  let best = null;
+  for (const key of Object.keys(PRICES)) {
+    if (id.includes(key.toLowerCase()) && (!best || key.length > best.length)) best = key;
+  }
+  return best ? PRICES[best] : null;
+}
+
+function addUsage(target, delta) {
+  for (const key of Object.keys(delta)) target[key] += delta[key];
+}
+
+// Record one assistant message's `usage` block against an agent, its team and model.
+// Transcripts repeat the same usage on every content block of a message (and a
+// spawned session shows up both on stdout and in its transcript), so messages are
+// counted once by id.
+function recordUsage(sessionId, model, usage, messageId, workspace = null) {
+  if (!usage || !sessionId) return;
+  if (messageId) {
+    if (countedMessageIds.has(messageId)) return;
+    countedMessageIds.add(messageId);
+    if (countedMessageIds.size > MAX_COUNTED_IDS) {
+      countedMessageIds.delete(countedMessageIds.values().next().value);
+    }
+  }
+
+  const delta = {
+    input: usage.input_tokens || 0,
+    output: usage.output_tokens || 0,
+    cacheRead: usage.cache_read_input_tokens || 0,
+    cacheWrite: usage.cache_creation_input_tokens || 0,
+  };
+  delta.tokens = delta.input + delta.output + delta.cacheRead + delta.cacheWrite;
+  const price = priceFor(model);
+  delta.cost = price
+    ? (delta.input * price.input + delta.output * price.output +
+       delta.cacheRead * price.cacheRead + delta.cacheWrite * price.cacheWrite) / 1e6
+    : 0;
+
+  const agent = getOrCreateAgent(sessionId, { workspace });
+  // Switching from estimates to real numbers: drop the estimate from the totals
+  if (!agent.usage) {
+    stats.tokens -= agent.tokens;
+    agent.tokens = 0;
+    agent.usage = emptyUsage();
+    agent.usageByModel = {};
+  }
+  const modelKey = model || "unknown";
+  addUsage(agent.usage, delta);
+  if (!agent.usageByModel[modelKey]) agent.usageByModel[modelKey] = emptyUsage();
+  addUsage(agent.usageByModel[modelKey], delta);
+  agent.tokens += delta.tokens;
+  agent.cost = agent.usage.cost;
+  if (model) agent.model = model;
+
+  if (!usageByModel.has(modelKey)) usageByModel.set(modelKey, emptyUsage());
+  addUsage(usageByModel.get(modelKey), delta);
+  if (agent.teamName) {
+    if (!usageByTeam.has(agent.teamName)) usageByTeam.set(agent.teamName, emptyUsage());
+    addUsage(usageByTeam.get(agent.teamName), delta);
+  }
+  addUsage(usageTotal, delta);
+  stats.tokens += delta.tokens;
+
+  broadcast({ type: "usage_update", agentId: sessionId, delta, agentUpdate: agent, usage: usageSnapshot() });
+}
+
+function usageSnapshot() {
+  return {
+    total: usageTotal,
+    byModel: Object.fromEntries(usageByModel),
+    byTeam: Object.fromEntries(usageByTeam),
+  };
+}
+
+// -------------------------------------------------------------------
+// Budget guardrails (per spawned session and per Agent Team)
+// -------------------------------------------------------------------
+
+// Limits come from "budgets" in the config file —
+//   { "session": {...}, "team": {...}, "teams": { "<team>": {...} } }
+// — where each limit set may hold tokens, dollars, toolCalls and wallClock ("30m").
+// A prompt can carry its own `budget`, which overrides the session defaults.
+const BUDGET_KEYS = ["tokens", "dollars", "toolCalls", "wallClock"];
+const BUDGET_WARN_RATIO = 0.8;
+// Saved, so a restart doesn't report a breach (or message the team) again
+const TEAM_BUDGETS_FILE = path.join(EVENTS_DIR, "team-budgets.json");
+const teamBudgetState = loadTeamBudgetState(); // teamName -> { warned: Set<limit>, exceeded }
+
+function loadTeamBudgetState() {
+  const state = new Map();
+  const saved = DEMO || PLAYBACK_FILE ? null : readJsonSafe(TEAM_BUDGETS_FILE);
+  for (const [teamName, entry] of Object.entries(saved?.teams || {})) {
+    const warned = Array.isArray(entry?.warned) ? entry.warned.filter(key => BUDGET_KEYS.includes(key)) : [];
+    state.set(teamName, { warned: new Set(warned), exceeded: entry?.exceeded === true });
+  }
+  return state;
+}
+
+function saveTeamBudgetState() {
+  if (DEMO || PLAYBACK_FILE) return;
+  const teams = {};
+  for (const [teamName, { warned, exceeded }] of teamBudgetState) {
+    if (warned.size || exceeded) teams[teamName] = { warned: [...warned], exceeded };
+  }
+  try {
+    fs.mkdirSync(EVENTS_DIR, { recursive: true });
+    fs.writeFileSync(TEAM_BUDGETS_FILE + ".tmp", JSON.stringify({ teams }, null, 2));
+    fs.renameSync(TEAM_BUDGETS_FILE + ".tmp", TEAM_BUDGETS_FILE);
+  } catch (e) {
+    console.log(`  ⚠️  Could not save team budget state: ${e.message}`);
+  }
+}
+
+function normalizeBudget(...sources) {
+  const limits = {};
+  for (const source of sources) {
+    if (!source || typeof source !== "object") continue;
+    for (const key of BUDGET_KEYS) {
+      if (source[key] == null || source[key] === "") continue;
+      const value = key === "wallClock" ? parseDuration(source[key]) : Number(source[key]);
+      if (value > 0) limits[key] = value;
+    }
+  }
+  return limits;
+}
+
+function teamBudget(teamName) {
+  const budgets = config.budgets || {};
+  return normalizeBudget(budgets.team, budgets.teams?.[teamName]);
+}
+
+function sessionSpend(session) {
+  const agent = session.sessionId ? knownAgents.get(session.sessionId) : null;
+  return {
+    tokens: agent?.tokens || 0,
+    dollars: agent?.cost || 0,
+    toolCalls: agent?.toolCalls || 0,
+    // Sessions are real processes, timed on the real clock even during playback
+    wallClock: Date.now() - session.startTime,
+  };
+}
+
+// Wall clock runs from the team's createdAt, else from when it was first loaded —
+// not from the first replayed event of one of its agents
+function teamSpend(teamName) {
+  const spend = { tokens: 0, dollars: 0, toolCalls: 0, wallClock: 0 };
+  for (const agent of knownAgents.values()) {
+    if (agent.teamName !== teamName) continue;
+    spend.tokens += agent.tokens;
+    spend.dollars += agent.cost || 0;
+    spend.toolCalls += agent.toolCalls;
+  }
+  const team = teamsState.get(teamName);
+  const startedAt = Number(team?.config?.createdAt) || team?.loadedAt;
+  if (startedAt) spend.wallClock = Math.max(0, Date.now() - startedAt);
+  return spend;
+}
+
+// The most serious unreported breach: any limit reached, else a new 80% warning
+function budgetBreach(limits, spend, budgetState) {
+  let warning = null;
+  for (const key of Object.keys(limits)) {
+    const ratio = spend[key] / limits[key];
+    if (ratio >= 1) return { level: "exceeded", limit: key, spent: spend[key], max: limits[key] };
+    if (ratio >= BUDGET_WARN_RATIO && !budgetState.warned.has(key) && !warning) {
+      warning = { level: "warning", limit: key, spent: spend[key], max: limits[key] };
+    }
+  }
+  return warning;
+}
+
+function formatBudgetValue(key, value) {
+  if (key === "dollars") return `$${value.toFixed(2)}`;
+  if (key === "wallClock") return `${Math.round(value / 60000)}m`;
+  return `${Math.round(value)} ${key === "toolCalls" ? "tool calls" : "tokens"}`;
+}
+
+function budgetStopText(breach) {
+  return `Budget exceeded (${formatBudgetValue(breach.limit, breach.spent)} of ${formatBudgetValue(breach.limit, breach.max)}). ` +
+    "Stop working now: do not start new tasks, and end your session.";
+}
+
+// Warn at 80%, then stop the session (SIGTERM, same as the UI kill button) and,
+// for team members, ask the agent to stop via its inbox
+function enforceSessionBudget(tag, session, breach) {
+  const agent = session.sessionId ? knownAgents.get(session.sessionId) : null;
+  const alert = { scope: "session", sessionTag: tag, agentId: agent?.id || null, ...breach };
+  if (breach.level === "warning") {
+    session.budgetState.warned.add(breach.limit);
+    console.log(`  ⚠️  Session [${tag}] at ${Math.round(breach.spent / breach.max * 100)}% of its ${breach.limit} budget`);
+    broadcast({ type: "budget_warning", ...alert });
+    return;
+  }
+  session.budgetState.exceeded = true;
+  console.log(`  🛑 Session [${tag}] exceeded its ${breach.limit} budget — stopping`);
+  broadcast({ type: "budget_exceeded", ...alert });
+  if (agent?.teamName) {
+    writeInboxMessage(agent.teamName, agent.teamMemberName || agent.label, "observer", budgetStopText(breach));
+  }
+  killSession(tag);
+}
+
+// Reported once per breach; sessions that join the team while it is still
+// over budget are stopped on every sweep
+function enforceTeamBudget(teamName, budgetState, breach) {
+  if (breach.level === "warning") {
+    budgetState.warned.add(breach.limit);
+    saveTeamBudgetState();
+    console.log(`  ⚠️  Team ${teamName} at ${Math.round(breach.spent / breach.max * 100)}% of its ${breach.limit} budget`);
+    broadcast({ type: "budget_warning", scope: "team", teamName, ...breach });
+    return;
+  }
+  if (!budgetState.exceeded) {
+    budgetState.exceeded = true;
+    saveTeamBudgetState();
+    console.log(`  🛑 Team ${teamName} exceeded its ${breach.limit} budget — stopping members`);
+    broadcast({ type: "budget_exceeded", scope: "team", teamName, ...breach });
+    for (const agent of knownAgents.values()) {
+      if (agent.teamName !== teamName || agent.status === "done") continue;
+      writeInboxMessage(teamName, agent.teamMemberName || agent.label, "observer", budgetStopText(breach));
+    }
+  }
+  for (const [tag, session] of managedProcesses) {
+    if (session.team?.teamName === teamName || knownAgents.get(session.sessionId)?.teamName === teamName) killSession(tag);
+  }
+}
+
+function sweepBudgets() {
+  for (const [tag, session] of managedProcesses) {
+    if (!session.budget || session.budgetState.exceeded) continue;
+    const breach = budgetBreach(session.budget, sessionSpend(session), session.budgetState);
+    if (breach) enforceSessionBudget(tag, session, breach);
+  }
+  for (const teamName of teamsState.keys()) {
+    const limits = teamBudget(teamName);
+    if (Object.keys(limits).length === 0) continue;
+    if (!teamBudgetState.has(teamName)) teamBudgetState.set(teamName, { warned: new Set(), exceeded: false });
+    const budgetState = teamBudgetState.get(teamName);
+    const spend = teamSpend(teamName);
+    // Back under the limits: a later breach is reported (and warned about) again
+    const cleared = [...budgetState.warned].filter(key => !(spend[key] >= limits[key] * BUDGET_WARN_RATIO));
+    for (const key of cleared) budgetState.warned.delete(key);
+    if (budgetState.exceeded && Object.keys(limits).every(key => spend[key] < limits[key])) {
+      budgetState.exceeded = false;
+      cleared.push("exceeded");
+    }
+    if (cleared.length) saveTeamBudgetState();
+    const breach = budgetBreach(limits, spend, budgetState);
+    if (breach) enforceTeamBudget(teamName, budgetState, breach);
+  }
+}
+
 // -------------------------------------------------------------------
 // Agent Teams state (read from ~/.claude/teams/ and ~/.claude/tasks/)
 // -------------------------------------------------------------------
-const teamsState = new Map(); // teamName -> { config, inboxes: Map<agentId, messages[]>, tasks: Map<taskId, task> }
+// teamKey (scopeId of the team name) -> { name, workspace, config, inboxes: Map<agentId, messages[]>, tasks: Map<taskId, task> }
+const teamsState = new Map();
 
 function readJsonSafe(filePath) {
   try {
@@ -506,13 +2109,13 @@ function readJsonSafe(filePath) {
   } catch { return null; }
 }
 
-function readTeamConfig(teamName) {
-  const configPath = path.join(TEAMS_DIR, teamName, "config.json");
+function readTeamConfig(workspace, teamName) {
+  const configPath = path.join(workspace.teamsDir, teamName, "config.json");
   return readJsonSafe(configPath);
 }
 
-function readTeamInboxes(teamName) {
-  const inboxDir = path.join(TEAMS_DIR, teamName, "inboxes");
+function readTeamInboxes(workspace, teamName) {
+  const inboxDir = path.join(workspace.teamsDir, teamName, "inboxes");
   const inboxes = new Map();
   try {
     if (!fs.existsSync(inboxDir)) return inboxes;
@@ -530,77 +2133,133 @@ function readTeamInboxes(teamName) {
   return inboxes;
 }
 
-function readTeamTasks(teamName) {
-  const taskDir = path.join(TASKS_DIR, teamName);
+function readTeamTasks(workspace, teamName) {
+  const taskDir = path.join(workspace.tasksDir, teamName);
   const tasks = new Map();
   try {
     if (!fs.existsSync(taskDir)) return tasks;
     const files = fs.readdirSync(taskDir).filter(f => f.endsWith(".json"));
     for (const file of files) {
       const task = readJsonSafe(path.join(taskDir, file));
-      if (task && task.id) {
-        tasks.set(String(task.id), task);
-      }
+      if (!task || typeof task !== "object") continue;
+      // Task files are named after their id, which some leave out of the body
+      if (!task.id) task.id = path.basename(file, ".json");
+      tasks.set(String(task.id), task);
     }
   } catch {}
   return tasks;
 }
 
-function readAllTeams() {
+// Task files come from different Claude Code versions — map them onto one shape
+function normalizeTask(task, fallbackId) {
+  return {
+    id: String(task.id || fallbackId),
+    subject: task.subject || task.title || fallbackId || "Untitled",
+    description: task.description || "",
+    status: task.status || "pending",
+    owner: task.owner || task.assignee || null,
+    blockedBy: task.blockedBy || task.dependencies || [],
+    blocks: task.blocks || [],
+    activeForm: task.activeForm || null,
+  };
+}
+
+// A team's tasks, normalized and in id order
+function teamTaskList(team) {
+  return [...team.tasks].map(([id, task]) => normalizeTask(task, id))
+    .sort((a, b) => Number(a.id) - Number(b.id) || a.id.localeCompare(b.id));
+}
+
+function readAllTeams(workspace) {
   try {
-    if (!fs.existsSync(TEAMS_DIR)) return;
-    const dirs = fs.readdirSync(TEAMS_DIR).filter(d => {
-      try { return fs.statSync(path.join(TEAMS_DIR, d)).isDirectory(); } catch { return false; }
+    if (!fs.existsSync(workspace.teamsDir)) return;
+    const dirs = fs.readdirSync(workspace.teamsDir).filter(d => {
+      try { return fs.statSync(path.join(workspace.teamsDir, d)).isDirectory(); } catch { return false; }
     });
     for (const teamName of dirs) {
-      const config = readTeamConfig(teamName);
-      if (!config) continue;
-      const inboxes = readTeamInboxes(teamName);
-      const tasks = readTeamTasks(teamName);
-      teamsState.set(teamName, { config, inboxes, tasks });
-
-      // Register team members as agents in the graph
-      if (config.members) {
-        for (const member of config.members) {
-          const agentId = member.agentId || `${member.name}@${teamName}`;
-          const agent = getOrCreateAgent(agentId, {
-            label: member.name || agentId,
-            role: member.agentType === "team-lead" ? "lead" : "worker",
-            cwd: member.cwd || null,
-          });
-          // Enrich with team metadata
-          agent.teamName = teamName;
-          agent.teamAgentId = agentId;
-          agent.teamMemberName = member.name || agentId.split("@")[0];
-          agent.agentType = member.agentType;
-          if (member.color) agent.color = member.color;
-          if (member.prompt) agent.spawnPrompt = member.prompt;
-          if (member.name && (agent.label.startsWith("Agent ") || !agent._taskLabel)) {
-            agent.label = member.name;
-          }
-        }
-      }
+      loadTeam(workspace, teamName);
     }
   } catch (e) {
     console.log(`  ⚠️  Error reading teams: ${e.message}`);
   }
 }
 
+// (Re-)read one team from disk into teamsState and register its members as
+// agents in the graph. Returns { key, team, prevTeam }, or null without a config.
+function loadTeam(workspace, teamName) {
+  const config = readTeamConfig(workspace, teamName);
+  if (!config) return null;
+  const key = scopeId(workspace, teamName);
+  const prevTeam = teamsState.get(key);
+  const team = {
+    name: teamName,
+    workspace: workspace.id,
+    config,
+    loadedAt: prevTeam?.loadedAt || Date.now(),
+    inboxes: readTeamInboxes(workspace, teamName),
+    tasks: readTeamTasks(workspace, teamName),
+  };
+  teamsState.set(key, team);
+  registerTeamMembers(workspace, key, teamName, config);
+  return { key, team, prevTeam };
+}
+
+// Make sure every member of a team is a node in the graph, tagged with its team
+function registerTeamMembers(workspace, key, teamName, config) {
+  for (const member of config.members || []) {
+    const teamAgentId = member.agentId || `${member.name}@${teamName}`;
+    const agentId = scopeId(workspace, teamAgentId);
+    const agent = getOrCreateAgent(agentId, {
+      label: member.name || teamAgentId,
+      role: member.agentType === "team-lead" ? "lead" : "worker",
+      cwd: member.cwd || null,
+      workspace: workspace.id,
+    });
+    // Enrich with team metadata
+    agent.teamName = key;
+    agent.teamAgentId = teamAgentId;
+    agent.teamMemberName = member.name || teamAgentId.split("@")[0];
+    agent.agentType = member.agentType;
+    if (member.color) agent.color = member.color;
+    if (member.prompt) agent.spawnPrompt = member.prompt;
+    if (member.name && (agent.label.startsWith("Agent ") || !agent._taskLabel)) {
+      agent.label = member.name;
+    }
+  }
+}
+
 function getTeamsSnapshot() {
   const result = {};
   for (const [teamName, team] of teamsState) {
     result[teamName] = {
+      name: team.name || teamName,
+      workspace: team.workspace || null,
       config: team.config,
       inboxes: Object.fromEntries(team.inboxes),
-      tasks: Object.fromEntries(team.tasks),
+      tasks: teamTaskList(team),
     };
   }
   return result;
 }
 
+// Graph message (edge + particle) for an inbox entry
+function inboxVisualMessage(teamName, agentName, msg, timestamp) {
+  const fromId = `${msg.from}@${teamName}`;
+  const toId = `${agentName}@${teamName}`;
+  return {
+    id: Math.random().toString(36).substr(2, 9),
+    from: knownAgents.has(fromId) ? fromId : msg.from,
+    to: knownAgents.has(toId) ? toId : agentName,
+    text: (typeof msg.text === "string" ? msg.text : JSON.stringify(msg.text)).substring(0, 100),
+    timestamp,
+  };
+}
+
 // Write a message to a specific agent's inbox
 function writeInboxMessage(teamName, targetAgent, fromName, messageText) {
-  const inboxDir = path.join(TEAMS_DIR, teamName, "inboxes");
+  const team = teamsState.get(teamName);
+  const workspace = workspaceById(team?.workspace) || WORKSPACES[0];
+  const inboxDir = path.join(workspace.teamsDir, team?.name || teamName, "inboxes");
   const inboxFile = path.join(inboxDir, `${targetAgent}.json`);
 
   try {
@@ -637,6 +2296,374 @@ function writeInboxMessage(teamName, targetAgent, fromName, messageText) {
   }
 }
 
+// -------------------------------------------------------------------
+// Task editing — operators create and change Agent Teams task files
+// -------------------------------------------------------------------
+// create_task   { teamName, subject, description?, owner?, blockedBy? }
+// update_task   { teamName, taskId, subject?, description?, owner?, status?, blockedBy? }
+// assign_task   { teamName, taskId, owner }          (owner null = unassign)
+// set_task_status { teamName, taskId, status }
+// Replies task_saved { request, teamName, task } or task_error { request, teamName, taskId, error }.
+const TASK_MESSAGES = new Set(["create_task", "update_task", "assign_task", "set_task_status"]);
+// The statuses Claude Code's task files use; the board derives "blocked" itself
+const TASK_STATUSES = ["pending", "in_progress", "completed"];
+const TASK_EDITABLE = {
+  create_task: ["subject", "description", "owner", "blockedBy"],
+  update_task: ["subject", "description", "owner", "status", "blockedBy"],
+  assign_task: ["owner"],
+  set_task_status: ["status"],
+};
+
+function handleTaskMessage(ws, msg) {
+  const reply = (data) => { if (ws.readyState === 1) ws.send(JSON.stringify(data)); };
+  const fail = (error) => reply({ type: "task_error", request: msg.type, teamName: msg.teamName, taskId: msg.taskId ?? null, error });
+
+  if (PLAYBACK_FILE) return fail("Tasks can't be edited during playback");
+  const team = teamsState.get(msg.teamName);
+  if (!team) return fail(`Team "${msg.teamName}" not found`);
+
+  let raw;
+  if (msg.type === "create_task") {
+    const ids = [...team.tasks.keys()].map(Number).filter(Number.isInteger);
+    raw = { id: String(Math.max(0, ...ids) + 1), subject: "", description: "", status: "pending", blocks: [], blockedBy: [] };
+  } else {
+    raw = team.tasks.get(String(msg.taskId));
+    if (!raw) return fail(`Task #${msg.taskId} not found in team "${msg.teamName}"`);
+  }
+
+  const changes = {};
+  for (const field of TASK_EDITABLE[msg.type]) {
+    if (msg[field] !== undefined) changes[field] = msg[field];
+  }
+  const error = validateTaskChanges(team, raw, changes, msg.type === "create_task");
+  if (error) return fail(error);
+
+  const saved = saveTask(msg.teamName, team, raw, changes);
+  if (!saved) return fail("Failed to write task file (file system error)");
+  console.log(`  📋 ${msg.type} #${saved.id} in ${msg.teamName}`);
+  reply({ type: "task_saved", request: msg.type, teamName: msg.teamName, task: saved });
+}
+
+// Error text, or null if the changes are fine. Normalizes changes.owner to the member name.
+function validateTaskChanges(team, raw, changes, creating) {
+  if (creating && !changes.subject) return "A task needs a subject";
+  for (const field of ["subject", "description"]) {
+    if (changes[field] !== undefined && typeof changes[field] !== "string") return `${field} must be a string`;
+  }
+  if (changes.subject !== undefined) {
+    changes.subject = changes.subject.trim();
+    if (!changes.subject) return "A task needs a subject";
+    if (changes.subject.length > 200) return "subject is longer than 200 characters";
+  }
+
+  if (changes.status !== undefined && !TASK_STATUSES.includes(changes.status)) {
+    return `status must be one of ${TASK_STATUSES.join(", ")}`;
+  }
+
+  if (changes.owner !== undefined && changes.owner !== null) {
+    const member = (team.config.members || []).find(m => m.name === changes.owner || m.agentId === changes.owner);
+    if (!member) return `"${changes.owner}" is not a member of team "${team.name}"`;
+    changes.owner = member.name || member.agentId;
+  }
+
+  if (changes.blockedBy !== undefined) {
+    if (!Array.isArray(changes.blockedBy)) return "blockedBy must be an array of task ids";
+    changes.blockedBy = [...new Set(changes.blockedBy.map(String))];
+    const id = String(raw.id);
+    for (const dep of changes.blockedBy) {
+      if (dep === id) return `Task #${id} can't depend on itself`;
+      if (!team.tasks.has(dep)) return `Task #${dep} not found in team "${team.name}"`;
+    }
+    const cycle = dependencyCycle(team, id, changes.blockedBy);
+    if (cycle) return `That would create a dependency cycle: ${cycle.map(t => "#" + t).join(" → ")}`;
+  }
+  return null;
+}
+
+// With `taskId` blocked by `blockedBy`, the path of a cycle back to taskId, or null
+function dependencyCycle(team, taskId, blockedBy) {
+  const depsOf = (id) => id === taskId ? blockedBy : normalizeTask(team.tasks.get(id) || {}, id).blockedBy.map(String);
+  const visited = new Set();
+  const walk = (id, trail) => {
+    for (const dep of depsOf(id)) {
+      if (dep === taskId) return [...trail, dep];
+      if (visited.has(dep) || !team.tasks.has(dep)) continue;
+      visited.add(dep);
+      const found = walk(dep, [...trail, dep]);
+      if (found) return found;
+    }
+    return null;
+  };
+  return walk(taskId, [taskId]);
+}
+
+// Apply changes, keep the dependencies' `blocks` lists in step, write every
+// touched task file atomically and broadcast. Returns the normalized task.
+function saveTask(teamKey, team, raw, changes) {
+  const id = String(raw.id);
+  const before = normalizeTask(raw, id);
+  const task = { ...raw, ...changes, id };
+  if (changes.owner !== undefined) delete task.assignee;
+  if (changes.blockedBy !== undefined) delete task.dependencies;
+  if (changes.subject !== undefined) delete task.title;
+  if (task.owner === null) delete task.owner;
+
+  const touched = [task];
+  if (changes.blockedBy !== undefined) {
+    const added = changes.blockedBy.filter(dep => !before.blockedBy.map(String).includes(dep));
+    const removed = before.blockedBy.map(String).filter(dep => !changes.blockedBy.includes(dep));
+    for (const dep of [...added, ...removed]) {
+      const depTask = { ...team.tasks.get(dep) };
+      const blocks = normalizeTask(depTask, dep).blocks.map(String).filter(b => b !== id);
+      depTask.blocks = added.includes(dep) ? [...blocks, id] : blocks;
+      touched.push(depTask);
+    }
+  }
+
+  // Demo teams live in memory only
+  if (!DEMO) {
+    const workspace = workspaceById(team.workspace) || WORKSPACES[0];
+    const taskDir = path.join(workspace.tasksDir, team.name);
+    try {
+      fs.mkdirSync(taskDir, { recursive: true });
+      for (const t of touched) {
+        const taskFile = path.join(taskDir, `${t.id}.json`);
+        const tmpFile = taskFile + ".tmp";
+        fs.writeFileSync(tmpFile, JSON.stringify(t, null, 2));
+        fs.renameSync(tmpFile, taskFile);
+      }
+    } catch (e) {
+      console.log(`  ❌ Failed to write task: ${e.message}`);
+      return null;
+    }
+  }
+
+  // Update now rather than waiting for the watcher, so follow-up edits see it
+  for (const t of touched) team.tasks.set(String(t.id), t);
+  broadcast({ type: "task_update", teamName: teamKey, taskId: id, task: normalizeTask(task, id), tasks: teamTaskList(team) });
+  return normalizeTask(task, id);
+}
+
+// -------------------------------------------------------------------
+// Team lifecycle — create teams, add members and launch them as managed sessions
+// -------------------------------------------------------------------
+// create_team        { name, description?, workspace?, members: [member], launch? }
+// add_team_member    { teamName, member, launch? }
+// launch_team_member { teamName, memberName }
+// member = { name, agentType?, color?, prompt?, cwd? }
+// Replies team_saved { request, teamName, config, launched } or team_error { request, teamName, error }.
+// The config is written in the format readTeamConfig() parses, so the team
+// shows up like one Claude Code created.
+const TEAM_MESSAGES = new Set(["create_team", "add_team_member", "launch_team_member"]);
+const TEAM_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+function handleTeamMessage(ws, msg) {
+  const reply = (data) => { if (ws.readyState === 1) ws.send(JSON.stringify(data)); };
+  const fail = (error) => reply({ type: "team_error", request: msg.type, teamName: msg.teamName || msg.name || null, error });
+  if (PLAYBACK_FILE) return fail("Teams can't be changed during playback");
+
+  let workspace, teamName, teamConfig, added;
+  if (msg.type === "create_team") {
+    workspace = msg.workspace ? workspaceById(msg.workspace) : WORKSPACES[0];
+    if (!workspace || workspace.remote) return fail(`Workspace "${msg.workspace}" has no local ~/.claude`);
+    teamName = typeof msg.name === "string" ? msg.name.trim() : "";
+    if (!TEAM_NAME_RE.test(teamName)) return fail("Team names are 1–64 letters, digits, dots, dashes or underscores");
+    if (teamsState.has(scopeId(workspace, teamName)) || fs.existsSync(path.join(workspace.teamsDir, teamName))) {
+      return fail(`Team "${teamName}" already exists`);
+    }
+    if (!Array.isArray(msg.members) || msg.members.length === 0) return fail("A team needs at least one member");
+    if (msg.description !== undefined && typeof msg.description !== "string") return fail("description must be a string");
+    teamConfig = { name: teamName, description: msg.description || "", createdAt: Date.now(), members: [] };
+    added = msg.members;
+  } else {
+    const team = teamsState.get(msg.teamName);
+    if (!team) return fail(`Team "${msg.teamName}" not found`);
+    workspace = workspaceById(team.workspace) || WORKSPACES[0];
+    teamName = team.name;
+    teamConfig = { ...team.config, members: [...(team.config.members || [])] };
+    added = msg.type === "add_team_member" ? [msg.member] : [];
+  }
+
+  for (const raw of added) {
+    const member = validateTeamMember(raw, teamName, teamConfig.members);
+    if (typeof member === "string") return fail(member);
+    teamConfig.members.push(member);
+  }
+
+  let key = scopeId(workspace, teamName);
+  if (added.length > 0) {
+    if (!teamConfig.leadAgentId) {
+      const lead = teamConfig.members.find(m => m.agentType === "team-lead") || teamConfig.members[0];
+      teamConfig.leadAgentId = lead.agentId;
+    }
+    const loaded = saveTeamConfig(workspace, teamName, teamConfig);
+    if (!loaded) return fail("Failed to write team config (file system error)");
+    key = loaded.key;
+    console.log(`  👥 ${msg.type} ${teamName}: ${added.map(m => m.name).join(", ")}`);
+  }
+
+  // Members to start: the named one, or the new ones when launch is set
+  const toLaunch = msg.type === "launch_team_member"
+    ? teamConfig.members.filter(m => m.name === msg.memberName)
+    : msg.launch ? teamConfig.members.slice(-added.length) : [];
+  if (msg.type === "launch_team_member" && toLaunch.length === 0) {
+    return fail(`"${msg.memberName}" is not a member of team "${teamName}"`);
+  }
+  const launched = [];
+  for (const member of toLaunch) {
+    if (!member.prompt) {
+      if (msg.type === "launch_team_member") return fail(`"${member.name}" has no prompt to start with`);
+      continue;
+    }
+    // One session per member — attach to the running one instead
+    const running = [...managedProcesses].find(([, s]) => s.team?.teamName === key && s.team.memberName === member.name);
+    if (running) {
+      if (msg.type === "launch_team_member") return fail(`"${member.name}" is already running (session ${running[0]})`);
+      continue;
+    }
+    spawnClaudeSession(ws, {
+      text: member.prompt,
+      cwd: member.cwd || undefined,
+      team: { teamName: key, memberName: member.name },
+    });
+    launched.push(member.name);
+  }
+
+  reply({ type: "team_saved", request: msg.type, teamName: key, config: teamsState.get(key)?.config || teamConfig, launched });
+}
+
+// What a launched member is told about itself: its team and name through the
+// environment, and where its inbox and the team's tasks live through the
+// system prompt, so it can work like a member Claude Code started itself
+function teamMemberIdentity(teamKey, memberName) {
+  const team = teamsState.get(teamKey);
+  const workspace = workspaceById(team?.workspace) || WORKSPACES[0];
+  const teamName = team?.name || teamKey;
+  const inbox = path.join(workspace.teamsDir, teamName, "inboxes", `${memberName}.json`);
+  return {
+    env: { SWARM_TEAM_NAME: teamName, SWARM_TEAM_MEMBER: memberName, SWARM_TEAM_INBOX: inbox },
+    // No quotes: the prompt may go through cmd.exe (see WINDOWS_SHELL_UNSAFE_RE)
+    prompt: `You are ${memberName}, a member of the agent team ${teamName}. ` +
+      `Messages for you arrive in ${inbox} and the team's tasks are in ${path.join(workspace.tasksDir, teamName)}. ` +
+      "Check your inbox between tasks.",
+  };
+}
+
+// A launched member runs as its own Claude Code session, keyed by session id.
+// Tag that agent with its team and member name (called once the init line
+// names the session) so team budgets count and stop it, inbox lookups find it
+// and the graph shows it as the member.
+function linkTeamSession(session) {
+  if (!session.team || !session.sessionId) return;
+  const team = teamsState.get(session.team.teamName);
+  const member = team?.config?.members?.find(m => m.name === session.team.memberName);
+  const agent = getOrCreateAgent(session.sessionId, { cwd: session.cwd, workspace: team?.workspace || null });
+  agent.teamName = session.team.teamName;
+  agent.teamMemberName = session.team.memberName;
+  agent.teamAgentId = member?.agentId || `${session.team.memberName}@${team?.name || session.team.teamName}`;
+  agent.label = session.team.memberName;
+  if (member?.agentType) agent.agentType = member.agentType;
+  if (member?.agentType === "team-lead") agent.role = "lead";
+  if (member?.color) agent.color = member.color;
+  console.log(`  👥 Session [${session.sessionId.substring(0, 8)}] is ${agent.teamAgentId}`);
+  broadcast({ type: "agent_update", agent });
+}
+
+// The member as stored in config.json, or an error string
+function validateTeamMember(raw, teamName, existing) {
+  if (!raw || typeof raw !== "object") return "Each member needs a name";
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+  if (!TEAM_NAME_RE.test(name)) return "Member names are 1–64 letters, digits, dots, dashes or underscores";
+  if (existing.some(m => m.name === name)) return `"${name}" is already a member of team "${teamName}"`;
+  for (const field of ["agentType", "color", "prompt", "cwd"]) {
+    if (raw[field] !== undefined && raw[field] !== null && typeof raw[field] !== "string") return `${field} must be a string`;
+  }
+  if (raw.cwd) {
+    let isDir = false;
+    try { isDir = fs.statSync(raw.cwd).isDirectory(); } catch {}
+    if (!isDir) return `Working directory "${raw.cwd}" doesn't exist`;
+  }
+  const member = {
+    agentId: `${name}@${teamName}`,
+    name,
+    agentType: raw.agentType?.trim() || "general-purpose",
+    joinedAt: Date.now(),
+  };
+  if (raw.color) member.color = raw.color.trim().substring(0, 32);
+  if (raw.prompt?.trim()) member.prompt = raw.prompt.trim();
+  if (raw.cwd) member.cwd = path.resolve(raw.cwd);
+  return member;
+}
+
+// Write config.json atomically, reload the team and broadcast team_update.
+// Returns loadTeam()'s result, or null on a write error.
+function saveTeamConfig(workspace, teamName, teamConfig) {
+  const teamDir = path.join(workspace.teamsDir, teamName);
+  // Demo teams live in memory only
+  if (!DEMO) {
+    try {
+      fs.mkdirSync(teamDir, { recursive: true });
+      const configFile = path.join(teamDir, "config.json");
+      fs.writeFileSync(configFile + ".tmp", JSON.stringify(teamConfig, null, 2));
+      fs.renameSync(configFile + ".tmp", configFile);
+    } catch (e) {
+      console.log(`  ❌ Failed to write team config: ${e.message}`);
+      return null;
+    }
+  }
+
+  let loaded;
+  if (DEMO) {
+    const key = scopeId(workspace, teamName);
+    const team = teamsState.get(key) || { name: teamName, workspace: workspace.id, inboxes: new Map(), tasks: new Map() };
+    team.config = teamConfig;
+    teamsState.set(key, team);
+    registerTeamMembers(workspace, key, teamName, teamConfig);
+    loaded = { key, team };
+  } else {
+    loaded = loadTeam(workspace, teamName);
+    if (!loaded) return null;
+  }
+  // The teams watcher would get there too, but not before a launched member
+  // starts reporting — and not at all if ~/.claude/teams didn't exist yet
+  broadcast({
+    type: "team_update",
+    teamName: loaded.key,
+    workspace: workspace.id,
+    config: teamConfig,
+    members: teamConfig.members,
+  });
+  // agent_join went out before the members were tagged with their team
+  for (const member of teamConfig.members) {
+    const agent = knownAgents.get(scopeId(workspace, member.agentId || `${member.name}@${teamName}`));
+    if (agent) broadcast({ type: "agent_update", agent });
+  }
+  return loaded;
+}
+
+// Drop all graph state (used when playback seeks backwards)
+function resetState() {
+  knownAgents.clear();
+  recentEvents.length = 0;
+  recentMessages.length = 0;
+  pendingTasks.length = 0;
+  stats.events = 0;
+  stats.tokens = 0;
+  stats.messages = 0;
+  colorIndex = 0;
+  usageByModel.clear();
+  usageByTeam.clear();
+  Object.assign(usageTotal, emptyUsage());
+  countedMessageIds.clear();
+  fileActivity.clear();
+  recentConflicts.length = 0;
+  eventDiffs.clear();
+  openToolCalls.clear();
+  teamBudgetState.clear();
+  transcriptFiles.clear();
+  transcriptMisses.clear();
+}
+
 function getOrCreateAgent(sessionId, extra = {}) {
   if (!knownAgents.has(sessionId)) {
     const shortId = sessionId.substring(0, 8);
@@ -655,8 +2682,13 @@ function getOrCreateAgent(sessionId, extra = {}) {
       lastActive: Date.now(),
       tokens: 0,
       toolCalls: 0,
+      failedCalls: 0,
+      lastError: null,
+      blocked: null,
+      health: null,
       firstSeen: Date.now(),
       cwd: extra.cwd || null,
+      workspace: extra.workspace || null,
       _justCreated: true,
     });
 
@@ -670,6 +2702,9 @@ function getOrCreateAgent(sessionId, extra = {}) {
     if (extra.role && existing.role === "worker") {
       existing.role = extra.role;
     }
+    if (extra.workspace && !existing.workspace) {
+      existing.workspace = extra.workspace;
+    }
   }
   return knownAgents.get(sessionId);
 }
@@ -682,12 +2717,18 @@ function processEvent(evt) {
   const toolInput = evt.tool_input || {};
   const filePath = toolInput.file_path || toolInput.command || toolInput.path || null;
   const cwd = evt.cwd || evt.working_directory || null;
+  // Hook events carry their own timestamp — use it so replayed history keeps its timing
+  const now = evt.ts || clockNow();
+  // Tagged by the watcher that read it (see watchEventsFile)
+  const workspace = evt.workspace || null;
 
   const agent = getOrCreateAgent(sessionId, {
     cwd,
     label: evt.model ? `${evt.model.replace("claude-", "").replace(/-\d+$/, "")} ${sessionId.substring(0, 6)}` : undefined,
     role: evt.source === "startup" ? "lead" : undefined,
+    workspace,
   });
+  if (agent._justCreated) agent.firstSeen = now;
 
   // ── Status with hold timer ──────────────────────────────────
   // Active statuses (reading/writing/tool_call/delegating) hold for
@@ -707,11 +2748,11 @@ function processEvent(evt) {
       status = "tool_call";
     }
     // Active status — record hold timestamp
-    agent._statusSetAt = Date.now();
+    agent._statusSetAt = now;
     agent.status = status;
-  } else if (hookEvent === "post_tool" || hookEvent === "PostToolUse") {
+  } else if (isPostTool(hookEvent)) {
     // Only go to "thinking" if the hold timer expired
-    const elapsed = Date.now() - (agent._statusSetAt || 0);
+    const elapsed = now - (agent._statusSetAt || 0);
     if (elapsed >= STATUS_HOLD_MS) {
       agent.status = "thinking";
     }
@@ -732,7 +2773,7 @@ function processEvent(evt) {
           tool: "",
           file: "",
           tokens: 0,
-          timestamp: Date.now(),
+          timestamp: now,
         }, agentUpdate: a });
         break;
       }
@@ -747,9 +2788,26 @@ function processEvent(evt) {
     agent.activity = shortFile ? `${toolName} → ${shortFile}` : toolName;
   }
 
+  // A call is issued once, but reported by its PreToolUse hook and again from the transcript
+  const newCall = !!toolName && (hookEvent === "pre_tool" || hookEvent === "PreToolUse" || evt.from_transcript)
+    && firstSightingOfCall(agent, evt.tool_use_id);
+
+  // Recent calls, for loop detection (see classifyHealth)
+  if (newCall) {
+    if (!agent._recentCalls) agent._recentCalls = [];
+    agent._recentCalls.push({ tool: toolName, file: filePath ? filePath.replace(/\\/g, "/") : "" });
+    if (agent._recentCalls.length > 30) agent._recentCalls = agent._recentCalls.slice(-30);
+  }
+
+  // File activity across all agents (see recordFileTouch) and diffs — once per call, like above
+  const fileAccess = FILE_READ_TOOLS.has(toolName) ? "read" : FILE_WRITE_TOOLS.has(toolName) ? "write" : null;
+  const touchedFile = fileAccess && (toolInput.file_path || toolInput.notebook_path) || null;
+  if (touchedFile && newCall) recordFileTouch(touchedFile, agent, toolName, fileAccess, now);
+  const diff = fileAccess === "write" && newCall ? buildDiff(toolName, toolInput, touchedFile) : null;
+
   agent.lastTool = toolName;
   agent.lastFile = filePath;
-  agent.lastActive = Date.now();
+  agent.lastActive = now;
   agent.toolCalls++;
 
   // ── File pattern tracking for role inference ────────────────
@@ -768,6 +2826,25 @@ function processEvent(evt) {
     }
   }
 
+  // ── Tool call pairing (duration, exit status, errors) ──────
+  // Transcript-derived calls are reported when issued, not when done, so they aren't paired
+  let outcome = null;
+  const toolUseId = evt.tool_use_id || null;
+  if (toolName && !evt.from_transcript) {
+    if (hookEvent === "pre_tool" || hookEvent === "PreToolUse") {
+      openToolCall(sessionId, toolUseId, toolName, now);
+    } else if (isPostTool(hookEvent)) {
+      const call = closeToolCall(sessionId, toolUseId, toolName);
+      outcome = toolOutcome(hookEvent, evt);
+      outcome.durationMs = call ? Math.max(0, now - call.startedAt) : null;
+      if (outcome.error) {
+        agent.failedCalls++;
+        agent.lastError = { tool: toolName, error: outcome.error, timestamp: now };
+      }
+    }
+  }
+  if (hookEvent === "stop" || hookEvent === "Stop") openToolCalls.delete(sessionId);
+
   // ── Token estimation ────────────────────────────────────────
   let estimatedTokens = 0;
   if (evt.tool_response) {
@@ -784,72 +2861,41 @@ function processEvent(evt) {
     estimatedTokens += Math.ceil(toolInput.content.length / 4);
   }
   if (evt.tokens) estimatedTokens = evt.tokens;
+  // Once real usage is flowing for this agent, estimates would double count
+  if (agent.usage) estimatedTokens = 0;
   agent.tokens += estimatedTokens;
 
   // ── Task delegation → label subagent + create message ──────
+  // Hooks report the call when it starts; the transcript watcher only after
+  // it was issued (and maybe both — recordTaskCall ignores repeats)
   let message = null;
-  if (toolName === "Task" && (hookEvent === "pre_tool" || hookEvent === "PreToolUse")) {
-    // Extract the task description — this IS what the subagent will work on
-    const taskDesc = toolInput.description || toolInput.prompt || toolInput.task ||
-                     toolInput.message || toolInput.content || "";
-
-    if (taskDesc) {
-      // Create a compact label from the task description
-      const taskLabel = summarizeTask(taskDesc);
-
-      // We don't know the subagent's session_id yet — it hasn't started.
-      // Store pending task on the delegating agent; when a new agent appears,
-      // assign it the most recent pending task from any agent in this cwd.
-      if (!pendingTasks) globalThis.pendingTasks = [];
-      pendingTasks.push({
-        from: sessionId,
-        label: taskLabel,
-        fullDesc: taskDesc.substring(0, 200),
-        cwd: agent.cwd,
-        timestamp: Date.now(),
-      });
-
+  const delegating = DELEGATION_TOOLS.has(toolName) &&
+    (hookEvent === "pre_tool" || hookEvent === "PreToolUse" || evt.from_transcript);
+  if (delegating) {
+    const pending = recordTaskCall(agent, toolUseId, toolInput, now);
+    if (pending) {
       message = {
         id: Math.random().toString(36).substr(2, 9),
         from: sessionId,
         to: "subagent",
-        text: taskLabel,
-        timestamp: Date.now(),
+        text: pending.label,
+        timestamp: now,
       };
+      pending.messageId = message.id;
+      resolveSidechains(sessionId);
     }
   }
 
-  // When a new agent appears, check if there's a pending task for it
-  // Match on SessionStart OR first-ever event (transcript watcher only emits PostToolUse)
+  // ── Subagent parentage (see linkSubagent) ───────────────────
+  // Events that name the Task call they belong to are linked exactly;
+  // otherwise a new agent falls back to the recent Task calls around it
   const isNewAgent = agent._justCreated && !agent._taskLabel;
   delete agent._justCreated;
-  if ((hookEvent === "session_start" || hookEvent === "SessionStart" || isNewAgent) && pendingTasks?.length) {
-    // Find most recent pending task from same cwd or within 10s
-    const now = Date.now();
-    const pending = pendingTasks.find(t =>
-      (now - t.timestamp) < 15000 && t.from !== sessionId
-    );
-    if (pending) {
-      agent._taskLabel = pending.label;
-      agent.label = pending.label;
-      agent.parentId = pending.from;
-
-      // Update the message target now that we know the session id
-      const msg = recentMessages.find(m =>
-        m.from === pending.from && m.to === "subagent" && m.text === pending.label
-      );
-      if (msg) {
-        msg.to = sessionId;
-        // Re-broadcast so client can create the correct edge
-        broadcast({ type: "message", message: msg });
-      }
-
-      // Remove consumed task
-      const idx = pendingTasks.indexOf(pending);
-      if (idx >= 0) pendingTasks.splice(idx, 1);
-
-      broadcast({ type: "agent_join", agent: knownAgents.get(sessionId) });
-    }
+  if (evt.parent_tool_use_id && evt.parent_tool_use_id !== agent.parentLink?.toolUseId) {
+    const pending = pendingTasks.find(t => t.toolUseId === evt.parent_tool_use_id && t.from !== sessionId);
+    if (pending) linkSubagent(agent, pending, "parent_tool_use_id", 1);
+  } else if ((hookEvent === "session_start" || hookEvent === "SessionStart" || isNewAgent) && !agent.parentLink) {
+    guessParent(agent, now);
   }
 
   // SendMessage (Agent Teams)
@@ -859,14 +2905,13 @@ function processEvent(evt) {
       from: sessionId,
       to: toolInput.to,
       text: toolInput.message || toolInput.content || "message",
-      timestamp: Date.now(),
+      timestamp: now,
     };
   }
 
-  if (message) {
-    recentMessages.push(message);
-    if (recentMessages.length > MAX_MESSAGES) recentMessages.shift();
-  }
+  if (message) recordMessage(message);
+
+  refreshBlocked(agent, now);
 
   // Build event record
   const record = {
@@ -874,23 +2919,594 @@ function processEvent(evt) {
     agentId: sessionId,
     event: hookEvent,
     tool: toolName,
-    file: filePath,
+    file: filePath || touchedFile,
     status: agent.status,
     activity: agent.activity || null,
-    timestamp: Date.now(),
+    workspace: agent.workspace,
+    timestamp: now,
     tokens: estimatedTokens,
+    toolUseId,
+    fileAccess: touchedFile && newCall ? fileAccess : null,
+    diffStat: diff && { added: diff.added, removed: diff.removed },
+    durationMs: outcome?.durationMs ?? null,
+    exitCode: outcome?.exitCode ?? null,
+    error: outcome?.error || null,
+    slow: (outcome?.durationMs ?? 0) >= SLOW_TOOL_MS,
   };
 
   recentEvents.push(record);
   if (recentEvents.length > MAX_EVENTS) recentEvents.shift();
+  if (diff) storeDiff(record, diff);
+  stats.events++;
+  stats.tokens += estimatedTokens;
 
   // Broadcast
   broadcast({ type: "event", event: record, agentUpdate: knownAgents.get(sessionId) });
   if (message) broadcast({ type: "message", message });
 }
 
-// ── Pending tasks queue (for labeling subagents) ──────────────
-let pendingTasks = [];
+// ── Subagent parentage ─────────────────────────────────────────
+// Task calls wait in pendingTasks for the subagent they start. The link is
+// recorded on the subagent as parentLink { toolUseId, method, confidence }:
+//   parent_tool_use_id  1     the subagent's events name the Task call
+//   sidechain           1     its sidechain transcript belongs to the parent's
+//                             session and opens with the Task call's prompt
+//   session             0.8   …belongs to the parent's session, prompt unknown
+//   cwd                 0.5   the only recent Task call from the same directory
+//   time                0.25  the oldest of several recent Task calls
+// Better evidence replaces a guess, and the guesser loses its link.
+const DELEGATION_TOOLS = new Set(["Task", "Agent"]);
+const PARENT_GUESS_WINDOW_MS = 15000;
+const PENDING_TASK_TTL_MS = 10 * 60 * 1000; // transcripts can lag the hooks
+let pendingTasks = []; // [{ from, toolUseId, label, prompt, cwd, workspace, timestamp, messageId, claimedBy, confidence }]
+
+// Returns the new pending Task call, or null if there's nothing to label or it's known already
+function recordTaskCall(agent, toolUseId, input, now) {
+  const desc = input.description || input.prompt || input.task || input.message || input.content || "";
+  if (!desc) return null;
+  if (toolUseId && pendingTasks.some(t => t.toolUseId === toolUseId)) return null;
+  pendingTasks = pendingTasks.filter(t => now - t.timestamp < PENDING_TASK_TTL_MS);
+  const pending = {
+    from: agent.id,
+    toolUseId,
+    label: summarizeTask(desc),
+    prompt: normalizePrompt(input.prompt || desc),
+    cwd: agent.cwd,
+    workspace: agent.workspace,
+    timestamp: now,
+    messageId: null,
+    claimedBy: null,
+    confidence: 0,
+  };
+  pendingTasks.push(pending);
+  return pending;
+}
+
+function normalizePrompt(text) {
+  return typeof text === "string" ? text.replace(/\s+/g, " ").trim() : "";
+}
+
+// Heuristic link for a new agent with nothing better to go on
+function guessParent(agent, now) {
+  const candidates = pendingTasks.filter(t =>
+    !t.claimedBy && now - t.timestamp < PARENT_GUESS_WINDOW_MS &&
+    t.from !== agent.id && t.workspace === agent.workspace
+  );
+  // Same directory first — a different cwd rules a call out when both are known
+  const sameCwd = candidates.filter(t => !agent.cwd || !t.cwd || t.cwd === agent.cwd);
+  if (sameCwd.length === 0) return;
+  // Subagents start in the order they were asked for
+  const pending = sameCwd.reduce((a, b) => (b.timestamp < a.timestamp ? b : a));
+  linkSubagent(agent, pending, sameCwd.length === 1 ? "cwd" : "time", sameCwd.length === 1 ? 0.5 : 0.25);
+}
+
+// A sidechain transcript line: `parentSessionId` is the session that ran
+// the Task call, `prompt` the first user message (if this line is it)
+function linkSidechain(agent, parentSessionId, prompt) {
+  if (agent.parentLink?.confidence >= 1 || parentSessionId === agent.id) return;
+  // Remembered in case the parent's Task call hasn't been seen yet (see resolveSidechains)
+  const wanted = normalizePrompt(prompt) || agent._sidechain?.prompt || "";
+  agent._sidechain = { parent: parentSessionId, prompt: wanted };
+  const fromParent = pendingTasks.filter(t => t.from === parentSessionId);
+  const exact = wanted && fromParent.find(t => t.prompt === wanted && (!t.claimedBy || t.confidence < 1));
+  if (exact) return linkSubagent(agent, exact, "sidechain", 1);
+  if (agent.parentLink?.confidence >= 0.8) return;
+  const unclaimed = fromParent.filter(t => !t.claimedBy || t.confidence < 0.8);
+  if (unclaimed.length) linkSubagent(agent, unclaimed[0], "session", 0.8);
+}
+
+function linkSubagent(agent, pending, method, confidence) {
+  if (agent.parentLink && agent.parentLink.confidence > confidence) return;
+  if (pending.claimedBy === agent.id && pending.confidence >= confidence) return;
+  // Give up whatever we claimed before, and take this call from a weaker claimant
+  const previous = pendingTasks.find(t => t.claimedBy === agent.id);
+  if (previous && previous !== pending) releaseTaskCall(previous);
+  if (pending.claimedBy && pending.claimedBy !== agent.id) {
+    const loser = knownAgents.get(pending.claimedBy);
+    releaseTaskCall(pending);
+    if (loser) {
+      loser.parentId = null;
+      loser.parentLink = null;
+      loser._taskLabel = null;
+      loser.label = `Agent ${loser.shortId}`;
+      broadcast({ type: "agent_update", agent: loser });
+    }
+  }
+
+  pending.claimedBy = agent.id;
+  pending.confidence = confidence;
+  agent._taskLabel = pending.label;
+  agent.label = pending.label;
+  agent.parentId = pending.from;
+  agent.parentLink = { toolUseId: pending.toolUseId, method, confidence };
+
+  // Point the delegation message at the subagent now that we know who it is
+  const msg = pending.messageId && recentMessages.find(m => m.id === pending.messageId);
+  if (msg) {
+    msg.to = agent.id;
+    broadcast({ type: "message", message: msg });
+  }
+  broadcast({ type: "agent_join", agent });
+}
+
+// A Task call from `parentSessionId` was just recorded — link sidechains waiting on it
+function resolveSidechains(parentSessionId) {
+  for (const agent of knownAgents.values()) {
+    if (agent._sidechain?.parent === parentSessionId && !(agent.parentLink?.confidence >= 1)) {
+      linkSidechain(agent, parentSessionId, agent._sidechain.prompt);
+    }
+  }
+}
+
+function releaseTaskCall(pending) {
+  pending.claimedBy = null;
+  pending.confidence = 0;
+  const msg = pending.messageId && recentMessages.find(m => m.id === pending.messageId);
+  if (msg) msg.to = "subagent";
+}
+
+// ── Tool call pairing ──────────────────────────────────────────
+const MAX_SEEN_CALL_IDS = 200; // per agent
+
+// True the first time a call's tool_use_id is seen for the agent, and always
+// for calls without one
+function firstSightingOfCall(agent, toolUseId) {
+  if (!toolUseId) return true;
+  if (!agent._seenCallIds) agent._seenCallIds = new Set();
+  if (agent._seenCallIds.has(toolUseId)) return false;
+  agent._seenCallIds.add(toolUseId);
+  if (agent._seenCallIds.size > MAX_SEEN_CALL_IDS) agent._seenCallIds.delete(agent._seenCallIds.values().next().value);
+  return true;
+}
+
+// Open PreToolUse calls per session, closed by the PostToolUse with the same
+// tool_use_id (or, when the hook doesn't send one, the oldest open call of that tool)
+const openToolCalls = new Map(); // sessionId -> [{ toolUseId, tool, startedAt }]
+const MAX_OPEN_TOOL_CALLS = 50;  // per session; calls that never finish fall off
+const SLOW_TOOL_MS = Number(config.slowToolMs) || 30000;
+
+function isPostTool(hookEvent) {
+  return hookEvent === "post_tool" || hookEvent === "PostToolUse" ||
+         hookEvent === "post_tool_failure" || hookEvent === "PostToolUseFailure";
+}
+
+function openToolCall(sessionId, toolUseId, tool, startedAt) {
+  if (!openToolCalls.has(sessionId)) openToolCalls.set(sessionId, []);
+  const calls = openToolCalls.get(sessionId);
+  calls.push({ toolUseId, tool, startedAt });
+  if (calls.length > MAX_OPEN_TOOL_CALLS) calls.shift();
+}
+
+function closeToolCall(sessionId, toolUseId, tool) {
+  const calls = openToolCalls.get(sessionId);
+  if (!calls) return null;
+  const index = toolUseId
+    ? calls.findIndex(c => c.toolUseId === toolUseId)
+    : calls.findIndex(c => c.tool === tool && !c.toolUseId);
+  if (index < 0) return null;
+  const [call] = calls.splice(index, 1);
+  if (calls.length === 0) openToolCalls.delete(sessionId);
+  return call;
+}
+
+// { exitCode, error } for a finished call; error is null when it succeeded
+function toolOutcome(hookEvent, evt) {
+  const resp = evt.tool_response;
+  let exitCode = null;
+  let error = null;
+  if (resp && typeof resp === "object") {
+    const code = resp.exit_code ?? resp.exitCode ?? resp.returnCode;
+    if (Number.isInteger(code)) exitCode = code;
+    if (typeof resp.error === "string" && resp.error) {
+      error = resp.error;
+    } else if (resp.is_error || resp.isError) {
+      error = (typeof resp.content === "string" && resp.content) || resp.stderr || "Tool reported an error";
+    } else if (exitCode) {
+      error = resp.stderr || `Exited with code ${exitCode}`;
+    } else if (resp.interrupted) {
+      error = "Interrupted";
+    }
+  } else if (typeof resp === "string" && /^\s*(error\b|<tool_use_error>)/i.test(resp)) {
+    error = resp.replace(/<\/?tool_use_error>/g, "").trim();
+  }
+  if (!error && (hookEvent === "post_tool_failure" || hookEvent === "PostToolUseFailure")) {
+    error = evt.error || "Tool call failed";
+  }
+  return { exitCode, error: error ? String(error).trim().substring(0, 500) : null };
+}
+
+// ── Blocked status ─────────────────────────────────────────────
+// An agent is blocked while its spawned session waits on a permission prompt,
+// while a tool call has been open with no other activity for BLOCKED_TOOL_MS,
+// or while every unfinished task it owns waits on unfinished dependencies and
+// it isn't working anyway (nothing in flight, and idle or quiet for
+// DEPENDENCY_QUIET_MS — task files lag behind what agents actually do).
+// agent.blocked holds { reason, detail, since } and clears itself once none hold.
+const BLOCKED_TOOL_MS = Number(config.blockedToolMs) || 120000;
+const DEPENDENCY_QUIET_MS = 30000;
+const LONG_RUNNING_TOOLS = new Set(["Task", "Agent"]); // subagents are supposed to take a while
+
+function blockedReason(agent, now) {
+  for (const session of managedProcesses.values()) {
+    if (session.permissionRequests.size && session.sessionId === agent.id) {
+      const [request] = session.permissionRequests.values();
+      return { reason: "permission", detail: `waiting for permission: ${request.toolName}` };
+    }
+  }
+
+  const pending = (openToolCalls.get(agent.id) || []).filter(c => !LONG_RUNNING_TOOLS.has(c.tool));
+  if (pending.length && now - agent.lastActive >= BLOCKED_TOOL_MS) {
+    return { reason: "tool", detail: `${pending[0].tool} call not returning` };
+  }
+
+  const inFlight = (openToolCalls.get(agent.id) || []).length > 0;
+  const quiet = !inFlight && (agent.status === "idle" || agent.status === "blocked" || now - agent.lastActive >= DEPENDENCY_QUIET_MS);
+  const waitingOn = quiet && blockingDependencies(agent);
+  if (waitingOn) {
+    return { reason: "dependencies", detail: `waiting on ${waitingOn.map(id => "#" + id).join(", ")}` };
+  }
+  return null;
+}
+
+// Ids of the unfinished tasks holding up all of the agent's own unfinished
+// tasks, or null if it owns none or can work on at least one
+function blockingDependencies(agent) {
+  const team = agent.teamName && teamsState.get(agent.teamName);
+  if (!team) return null;
+  const names = new Set([agent.teamMemberName, agent.teamAgentId, agent.label, agent.id].filter(Boolean));
+  const unfinished = (id) => {
+    const task = team.tasks.get(String(id));
+    return !!task && normalizeTask(task, String(id)).status !== "completed";
+  };
+  const owned = [...team.tasks]
+    .map(([id, t]) => normalizeTask(t, id))
+    .filter(t => names.has(t.owner) && t.status !== "completed");
+  if (owned.length === 0) return null;
+
+  const waitingOn = new Set();
+  for (const task of owned) {
+    const deps = task.blockedBy.map(String).filter(unfinished);
+    if (deps.length === 0) return null;
+    deps.forEach(dep => waitingOn.add(dep));
+  }
+  return [...waitingOn];
+}
+
+// Re-derive agent.blocked (and the "blocked" status); true if anything changed
+function refreshBlocked(agent, now = clockNow()) {
+  const found = blockedReason(agent, now);
+  const prev = agent.blocked;
+  if (!found) {
+    if (!prev) return false;
+    agent.blocked = null;
+    if (agent.status === "blocked") agent.status = "idle";
+    return true;
+  }
+  const changed = !prev || prev.reason !== found.reason || prev.detail !== found.detail || agent.status !== "blocked";
+  agent.blocked = { ...found, since: prev?.reason === found.reason ? prev.since : now };
+  agent.status = "blocked";
+  return changed;
+}
+
+// Time passing, task files changing and permission answers don't come with a hook event
+function sweepBlocked() {
+  const now = clockNow();
+  for (const agent of knownAgents.values()) {
+    if (refreshBlocked(agent, now)) broadcast({ type: "agent_update", agent });
+  }
+}
+
+// ── Agent health ───────────────────────────────────────────────
+// Every agent that isn't done is classified as
+//   active  — recent events
+//   idle    — no events for a minute
+//   stalled — no events for 5 minutes while mid-work (not idle or blocked)
+//   looping — its last 8 tool calls were the same tool on the same file
+// "health" in the config file overrides these: { idleMinutes, stalledMinutes, loopRepeats },
+// and how often agents are re-checked: { sweepSeconds } (1 by default).
+// agent.health is { state, detail, since }; changes are broadcast as agent_health.
+const HEALTH = {
+  idleMs: (Number(config.health?.idleMinutes) || 1) * 60000,
+  stalledMs: (Number(config.health?.stalledMinutes) || 5) * 60000,
+  loopRepeats: Number(config.health?.loopRepeats) || 8,
+  sweepMs: (Number(config.health?.sweepSeconds) || 1) * 1000,
+};
+const WORKING_STATUSES = new Set(["starting", "thinking", "tool_call", "reading", "writing", "delegating"]);
+
+function classifyHealth(agent, now) {
+  if (agent.status === "done") return { state: "done", detail: null };
+
+  const tail = (agent._recentCalls || []).slice(-HEALTH.loopRepeats);
+  if (tail.length === HEALTH.loopRepeats && tail.every(c => c.tool === tail[0].tool && c.file === tail[0].file)) {
+    const target = tail[0].file ? ` → ${tail[0].file.split("/").pop()}` : "";
+    return { state: "looping", detail: `${tail[0].tool}${target} ${HEALTH.loopRepeats}× in a row` };
+  }
+
+  const quietMs = now - agent.lastActive;
+  if (quietMs >= HEALTH.stalledMs && WORKING_STATUSES.has(agent.status)) {
+    return { state: "stalled", detail: `no events for ${Math.round(HEALTH.stalledMs / 60000)}m+ while ${agent.status}` };
+  }
+  if (quietMs >= HEALTH.idleMs) return { state: "idle", detail: null };
+  return { state: "active", detail: null };
+}
+
+function sweepHealth() {
+  const now = clockNow();
+  for (const agent of knownAgents.values()) {
+    const { state, detail } = classifyHealth(agent, now);
+    const prev = agent.health;
+    if (prev?.state === state && prev.detail === detail) continue;
+    agent.health = { state, detail, since: now };
+    // An agent's first classification (e.g. of replayed history) isn't news
+    if (!prev) continue;
+    if (state === "stalled" || state === "looping") {
+      console.log(`  🩺 ${agent.label} (${agent.id}) is ${state}: ${detail}`);
+    }
+    broadcast({ type: "agent_health", agentId: agent.id, health: agent.health, previous: prev.state, agentUpdate: agent });
+  }
+}
+
+// ── File activity ──────────────────────────────────────────────
+// Reads and writes per path, across agents. Each file has a heat score that
+// halves every 5 minutes ("fileHeatHalfLifeMinutes" in the config file);
+// a read adds 1 and a write 3. The least recently touched files are dropped
+// past MAX_TRACKED_FILES.
+const FILE_READ_TOOLS = new Set(["Read", "NotebookRead"]);
+const FILE_WRITE_TOOLS = new Set(["Write", "Edit", "MultiEdit", "NotebookEdit"]);
+const FILE_HEAT = { read: 1, write: 3, halfLifeMs: (Number(config.fileHeatHalfLifeMinutes) || 5) * 60000 };
+const MAX_TRACKED_FILES = 2000;
+const MAX_FILE_TOUCHES = 50; // per file, newest kept
+const SNAPSHOT_FILES = 500;
+const fileActivity = new Map(); // "<workspace>:<path>" -> { path, workspace, reads, writes, heat, lastTouched, agents, touches }
+
+function fileKey(workspace, filePath) {
+  return `${workspace || ""}:${filePath}`;
+}
+
+function recordFileTouch(rawPath, agent, tool, kind, now) {
+  const filePath = String(rawPath).replace(/\\/g, "/");
+  const key = fileKey(agent.workspace, filePath);
+  let file = fileActivity.get(key);
+  if (!file) {
+    file = { path: filePath, workspace: agent.workspace || null, reads: 0, writes: 0, heat: 0, lastTouched: now, agents: new Map(), touches: [] };
+    fileActivity.set(key, file);
+  }
+  file.heat = fileHeat(file, now) + FILE_HEAT[kind];
+  file.lastTouched = Math.max(file.lastTouched, now);
+  file[kind === "write" ? "writes" : "reads"]++;
+
+  if (kind === "write") detectConflict(file, agent, tool, now);
+
+  const byAgent = file.agents.get(agent.id) || { reads: 0, writes: 0, lastTouched: now };
+  byAgent[kind === "write" ? "writes" : "reads"]++;
+  byAgent.lastTouched = Math.max(byAgent.lastTouched, now);
+  file.agents.set(agent.id, byAgent);
+
+  file.touches.push({ agentId: agent.id, tool, kind, timestamp: now });
+  if (file.touches.length > MAX_FILE_TOUCHES) file.touches.shift();
+
+  // Map order is insertion order — move this file to the back, evict from the front
+  fileActivity.delete(key);
+  fileActivity.set(key, file);
+  if (fileActivity.size > MAX_TRACKED_FILES) fileActivity.delete(fileActivity.keys().next().value);
+}
+
+function fileHeat(file, now) {
+  return file.heat * Math.pow(0.5, Math.max(0, now - file.lastTouched) / FILE_HEAT.halfLifeMs);
+}
+
+// Hottest first
+function listFiles() {
+  const now = clockNow();
+  return [...fileActivity.values()].sort((a, b) => fileHeat(b, now) - fileHeat(a, now) || b.lastTouched - a.lastTouched);
+}
+
+function fileSummary(file) {
+  return {
+    path: file.path,
+    workspace: file.workspace,
+    reads: file.reads,
+    writes: file.writes,
+    heat: Math.round(fileHeat(file, clockNow()) * 100) / 100,
+    lastTouched: file.lastTouched,
+    agents: [...file.agents.keys()],
+  };
+}
+
+function fileDetail(file) {
+  return {
+    ...fileSummary(file),
+    agents: [...file.agents].map(([agentId, touches]) => ({
+      agentId,
+      label: knownAgents.get(agentId)?.label || agentId,
+      ...touches,
+    })).sort((a, b) => b.lastTouched - a.lastTouched),
+    touches: file.touches.slice().reverse(),
+  };
+}
+
+// ── Diffs for Write/Edit calls ─────────────────────────────────
+// Built from the tool input when the call is made. Edit and MultiEdit diff
+// old_string against new_string, so line numbers count from the start of the
+// replaced text; Write shows its whole content as added (the previous
+// contents aren't in the event). Kept apart from the event records so
+// broadcasts stay small, and served by GET /api/events/:id/diff.
+const DIFF_CONTEXT_LINES = 3;
+const DIFF_MAX_CHARS = 64 * 1024;
+const DIFF_MAX_CELLS = 4000000; // LCS table size before a change is shown as replace-all
+const MAX_DIFFS = 300;
+const eventDiffs = new Map(); // event id -> { eventId, agentId, file, tool, timestamp, added, removed, replaceAll, truncated, diff }
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+// [[" " | "-" | "+", line]] — the common prefix and suffix are matched
+// directly, the rest by longest common subsequence
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const ops = a.slice(0, start).map(line => [" ", line]);
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length, m = midB.length;
+  let i = 0, j = 0;
+  if (n * m <= DIFF_MAX_CELLS) {
+    // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+    const w = m + 1;
+    const lcs = new Uint32Array((n + 1) * w);
+    for (let x = n - 1; x >= 0; x--) {
+      for (let y = m - 1; y >= 0; y--) {
+        lcs[x * w + y] = midA[x] === midB[y] ? lcs[(x + 1) * w + y + 1] + 1 : Math.max(lcs[(x + 1) * w + y], lcs[x * w + y + 1]);
+      }
+    }
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) { ops.push([" ", midA[i]]); i++; j++; }
+      else if (lcs[(i + 1) * w + j] >= lcs[i * w + j + 1]) ops.push(["-", midA[i++]]);
+      else ops.push(["+", midB[j++]]);
+    }
+  }
+  while (i < n) ops.push(["-", midA[i++]]);
+  while (j < m) ops.push(["+", midB[j++]]);
+  for (const line of a.slice(endA)) ops.push([" ", line]);
+  return ops;
+}
+
+// Unified-diff hunks with DIFF_CONTEXT_LINES of context around each change
+function unifiedHunks(ops) {
+  const pos = [];
+  let oldLine = 1, newLine = 1;
+  for (const [op] of ops) {
+    pos.push([oldLine, newLine]);
+    if (op !== "+") oldLine++;
+    if (op !== "-") newLine++;
+  }
+
+  const lines = [];
+  let k = 0;
+  while (k < ops.length) {
+    let first = k;
+    while (first < ops.length && ops[first][0] === " ") first++;
+    if (first === ops.length) break;
+    let last = first;
+    for (let idx = first + 1; idx < ops.length && idx <= last + 2 * DIFF_CONTEXT_LINES; idx++) {
+      if (ops[idx][0] !== " ") last = idx;
+    }
+    const from = Math.max(k, first - DIFF_CONTEXT_LINES);
+    const to = Math.min(ops.length, last + DIFF_CONTEXT_LINES + 1);
+    const hunk = ops.slice(from, to);
+    const oldCount = hunk.filter(([op]) => op !== "+").length;
+    const newCount = hunk.filter(([op]) => op !== "-").length;
+    // An empty side starts at the line before, as in diff -u
+    const oldStart = oldCount ? pos[from][0] : pos[from][0] - 1;
+    const newStart = newCount ? pos[from][1] : pos[from][1] - 1;
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const [op, text] of hunk) lines.push(op + text);
+    k = to;
+  }
+  return lines;
+}
+
+// Null for calls whose input doesn't say what was written
+function buildDiff(tool, input, file) {
+  let changes;
+  if (tool === "Edit") changes = [[input.old_string, input.new_string]];
+  else if (tool === "MultiEdit") changes = Array.isArray(input.edits) ? input.edits.map(e => [e?.old_string, e?.new_string]) : [];
+  else if (tool === "Write") changes = [["", input.content]];
+  else return null;
+  changes = changes.filter(([oldText, newText]) => typeof oldText === "string" && typeof newText === "string");
+  if (!changes.length) return null;
+
+  let added = 0, removed = 0;
+  const lines = [`--- ${file}`, `+++ ${file}`];
+  for (const [oldText, newText] of changes) {
+    const ops = diffLines(oldText, newText);
+    for (const [op] of ops) {
+      if (op === "+") added++;
+      else if (op === "-") removed++;
+    }
+    lines.push(...unifiedHunks(ops));
+  }
+  let diff = lines.join("\n");
+  const truncated = diff.length > DIFF_MAX_CHARS;
+  if (truncated) diff = diff.slice(0, diff.lastIndexOf("\n", DIFF_MAX_CHARS));
+  return { added, removed, replaceAll: !!input.replace_all, truncated, diff };
+}
+
+function storeDiff(record, diff) {
+  eventDiffs.set(record.id, { eventId: record.id, agentId: record.agentId, file: record.file, tool: record.tool, timestamp: record.timestamp, ...diff });
+  if (eventDiffs.size > MAX_DIFFS) eventDiffs.delete(eventDiffs.keys().next().value);
+}
+
+// ── Write conflicts ────────────────────────────────────────────
+// Two agents writing the same file within 30 seconds of each other
+// ("conflictWindowSeconds" in the config file). Further writes by the same
+// pair within the window update the conflict instead of opening another.
+// Broadcast as { type: "conflict", conflict }.
+const CONFLICT_WINDOW_MS = (Number(config.conflictWindowSeconds) || 30) * 1000;
+const MAX_CONFLICTS = 100;
+const recentConflicts = []; // [{ id, path, workspace, agents: [first, second], tools, firstAt, lastAt, writes }]
+
+function detectConflict(file, agent, tool, now) {
+  const other = file.touches.slice().reverse().find(t =>
+    t.kind === "write" && t.agentId !== agent.id && now - t.timestamp <= CONFLICT_WINDOW_MS
+  );
+  if (!other) return;
+
+  const pair = [other.agentId, agent.id].sort().join("\n");
+  let conflict = recentConflicts.find(c =>
+    c.path === file.path && c.workspace === file.workspace &&
+    c.agents.slice().sort().join("\n") === pair && now - c.lastAt <= CONFLICT_WINDOW_MS
+  );
+  if (conflict) {
+    conflict.lastAt = now;
+    conflict.writes++;
+  } else {
+    conflict = {
+      id: Math.random().toString(36).substr(2, 9),
+      path: file.path,
+      workspace: file.workspace,
+      agents: [other.agentId, agent.id],
+      tools: [other.tool, tool],
+      firstAt: other.timestamp,
+      lastAt: now,
+      writes: 2,
+    };
+    recentConflicts.push(conflict);
+    if (recentConflicts.length > MAX_CONFLICTS) recentConflicts.shift();
+    const names = conflict.agents.map(id => knownAgents.get(id)?.label || id);
+    console.log(`  🚧 Write conflict on ${file.path}: ${names.join(" and ")} within ${Math.round((now - other.timestamp) / 1000)}s`);
+  }
+  broadcast({ type: "conflict", conflict });
+}
 
 // ── Task summarizer — extract a short label from task description ──
 function summarizeTask(text) {
@@ -945,34 +3561,37 @@ function inferRoleFromFiles(paths) {
 // -------------------------------------------------------------------
 
 // 1. Watch events.jsonl (primary data source from hooks)
-let eventsFileSize = 0;
-try { eventsFileSize = fs.statSync(EVENTS_FILE).size; } catch {}
+function watchEventsFile(workspace) {
+  const eventsFile = workspace.eventsFile;
+  try { fs.mkdirSync(path.dirname(eventsFile), { recursive: true }); } catch {}
+  try { if (!fs.existsSync(eventsFile)) fs.writeFileSync(eventsFile, ""); } catch {}
+  try { workspace.eventsFileSize = fs.statSync(eventsFile).size; } catch {}
 
-function watchEventsFile() {
   try {
-    fs.watch(EVENTS_FILE, (eventType) => {
+    fs.watch(eventsFile, (eventType) => {
       if (eventType !== "change") return;
       try {
-        const stat = fs.statSync(EVENTS_FILE);
-        if (stat.size <= eventsFileSize) {
-          eventsFileSize = stat.size;
+        const stat = fs.statSync(eventsFile);
+        if (stat.size <= workspace.eventsFileSize) {
+          workspace.eventsFileSize = stat.size;
           return;
         }
 
         // Read new bytes
-        const stream = fs.createReadStream(EVENTS_FILE, {
-          start: eventsFileSize,
+        const stream = fs.createReadStream(eventsFile, {
+          start: workspace.eventsFileSize,
           encoding: "utf8",
         });
 
         let buffer = "";
         stream.on("data", (chunk) => { buffer += chunk; });
         stream.on("end", () => {
-          eventsFileSize = stat.size;
+          workspace.eventsFileSize = stat.size;
           const lines = buffer.split("\n").filter(Boolean);
           for (const line of lines) {
             try {
               const evt = JSON.parse(line);
+              evt.workspace = workspace.id;
               processEvent(evt);
             } catch (e) {
               // Skip malformed lines
@@ -981,85 +3600,68 @@ function watchEventsFile() {
         });
       } catch {}
     });
-    console.log(`  📡 Watching ${EVENTS_FILE}`);
+    console.log(`  📡 Watching ${eventsFile}`);
   } catch (e) {
     console.log(`  ⚠️  Could not watch events file: ${e.message}`);
   }
 }
 
 // 2. Watch Agent Teams files (config, inboxes, tasks)
-function watchAgentTeams() {
+const teamWatchDebounce = new Map(); // "<workspace>:<kind>-<file>" -> timer
+
+function debounceTeamWatch(key, fn) {
+  clearTimeout(teamWatchDebounce.get(key));
+  teamWatchDebounce.set(key, setTimeout(() => {
+    teamWatchDebounce.delete(key);
+    fn();
+  }, 200)); // wait for writes to settle
+}
+
+function watchAgentTeams(workspace) {
+  const { teamsDir, tasksDir } = workspace;
   // Initial read
-  readAllTeams();
+  readAllTeams(workspace);
 
-  const teamsCount = teamsState.size;
-  if (teamsCount > 0) {
-    console.log(`  🤖 Found ${teamsCount} agent team(s): ${[...teamsState.keys()].join(", ")}`);
+  const teamNames = [...teamsState.values()].filter(t => t.workspace === workspace.id).map(t => t.name);
+  if (teamNames.length > 0) {
+    console.log(`  🤖 Found ${teamNames.length} agent team(s): ${teamNames.join(", ")}`);
   }
 
   // Watch teams directory for config and inbox changes
-  if (fs.existsSync(TEAMS_DIR)) {
+  if (fs.existsSync(teamsDir)) {
     try {
-      fs.watch(TEAMS_DIR, { recursive: true }, (eventType, filename) => {
+      fs.watch(teamsDir, { recursive: true }, (eventType, filename) => {
         if (!filename) return;
 
-        // Debounce: wait for writes to settle
-        const debounceKey = `teams-${filename}`;
-        if (watchAgentTeams._debounce?.[debounceKey]) clearTimeout(watchAgentTeams._debounce[debounceKey]);
-        if (!watchAgentTeams._debounce) watchAgentTeams._debounce = {};
-        watchAgentTeams._debounce[debounceKey] = setTimeout(() => {
+        debounceTeamWatch(`${workspace.id}:teams-${filename}`, () => {
           const parts = filename.replace(/\\/g, "/").split("/");
           const teamName = parts[0];
           if (!teamName) return;
 
           // Re-read this team's state
-          const config = readTeamConfig(teamName);
-          if (!config) return;
-
-          const inboxes = readTeamInboxes(teamName);
-          const tasks = readTeamTasks(teamName);
-          const prevTeam = teamsState.get(teamName);
-          teamsState.set(teamName, { config, inboxes, tasks });
-
-          // Register any new team members as agents
-          if (config.members) {
-            for (const member of config.members) {
-              const agentId = member.agentId || `${member.name}@${teamName}`;
-              const agent = getOrCreateAgent(agentId, {
-                label: member.name || agentId,
-                role: member.agentType === "team-lead" ? "lead" : "worker",
-                cwd: member.cwd || null,
-              });
-              agent.teamName = teamName;
-              agent.teamAgentId = agentId;
-              agent.teamMemberName = member.name || agentId.split("@")[0];
-              agent.agentType = member.agentType;
-              if (member.color) agent.color = member.color;
-              if (member.prompt) agent.spawnPrompt = member.prompt;
-              if (member.name && (agent.label.startsWith("Agent ") || !agent._taskLabel)) {
-                agent.label = member.name;
-              }
-            }
-          }
+          const loaded = loadTeam(workspace, teamName);
+          if (!loaded) return;
+          const { key, team, prevTeam } = loaded;
 
           // Determine what changed and broadcast
           if (parts[1] === "config.json") {
             broadcast({
               type: "team_update",
-              teamName,
-              config,
-              members: config.members || [],
+              teamName: key,
+              workspace: workspace.id,
+              config: team.config,
+              members: team.config.members || [],
             });
           } else if (parts[1] === "inboxes" && parts[2]) {
             const agentName = path.basename(parts[2], ".json");
-            const messages = inboxes.get(agentName) || [];
+            const messages = team.inboxes.get(agentName) || [];
             const prevMessages = prevTeam?.inboxes?.get(agentName) || [];
             // Only broadcast new messages (compare by length — simple but effective)
             const newMessages = messages.slice(prevMessages.length);
             if (newMessages.length > 0) {
               broadcast({
                 type: "inbox_update",
-                teamName,
+                teamName: key,
                 agentName,
                 newMessages,
                 totalCount: messages.length,
@@ -1067,111 +3669,110 @@ function watchAgentTeams() {
               // Also create visual message edges for the graph
               for (const msg of newMessages) {
                 if (msg.from) {
-                  const fromId = `${msg.from}@${teamName}`;
-                  const toId = `${agentName}@${teamName}`;
-                  const visualMsg = {
-                    id: Math.random().toString(36).substr(2, 9),
-                    from: knownAgents.has(fromId) ? fromId : msg.from,
-                    to: knownAgents.has(toId) ? toId : agentName,
-                    text: (typeof msg.text === "string" ? msg.text : JSON.stringify(msg.text)).substring(0, 100),
-                    timestamp: Date.now(),
-                  };
-                  recentMessages.push(visualMsg);
-                  if (recentMessages.length > MAX_MESSAGES) recentMessages.shift();
+                  const visualMsg = inboxVisualMessage(key, agentName, msg, Date.now());
+                  recordMessage(visualMsg);
                   broadcast({ type: "message", message: visualMsg });
                 }
               }
             }
           }
-        }, 200); // 200ms debounce
+        });
       });
-      console.log(`  👥 Watching ${TEAMS_DIR}`);
+      console.log(`  👥 Watching ${teamsDir}`);
     } catch (e) {
       console.log(`  ⚠️  Could not watch teams dir: ${e.message}`);
     }
   } else {
-    console.log(`  ℹ️  No teams dir at ${TEAMS_DIR} (agent teams not active yet)`);
+    console.log(`  ℹ️  No teams dir at ${teamsDir} (agent teams not active yet)`);
     // Watch parent dir for creation
-    const claudeDir = path.join(HOME, ".claude");
     try {
-      fs.watch(claudeDir, (eventType, filename) => {
-        if (filename === "teams" && fs.existsSync(TEAMS_DIR)) {
+      const parentWatcher = fs.watch(workspace.claudeDir, (eventType, filename) => {
+        if (filename === "teams" && fs.existsSync(teamsDir)) {
           console.log(`  👥 Teams directory appeared — starting watcher`);
-          watchAgentTeams(); // Re-run now that directory exists
+          parentWatcher.close();
+          watchAgentTeams(workspace); // Re-run now that directory exists
         }
       });
     } catch {}
+    return; // the re-run sets up the tasks watcher too
   }
 
   // Also watch task files (separate directory)
-  if (fs.existsSync(TASKS_DIR)) {
+  if (fs.existsSync(tasksDir)) {
     try {
-      fs.watch(TASKS_DIR, { recursive: true }, (eventType, filename) => {
+      fs.watch(tasksDir, { recursive: true }, (eventType, filename) => {
         if (!filename || !filename.endsWith(".json")) return;
 
-        const debounceKey = `task-${filename}`;
-        if (!watchAgentTeams._debounce) watchAgentTeams._debounce = {};
-        if (watchAgentTeams._debounce[debounceKey]) clearTimeout(watchAgentTeams._debounce[debounceKey]);
-        watchAgentTeams._debounce[debounceKey] = setTimeout(() => {
+        debounceTeamWatch(`${workspace.id}:task-${filename}`, () => {
           const parts = filename.replace(/\\/g, "/").split("/");
           const teamName = parts[0];
           if (!teamName) return;
+          const key = scopeId(workspace, teamName);
 
           // Re-read this team's tasks
-          const tasks = readTeamTasks(teamName);
-          const team = teamsState.get(teamName);
+          const team = teamsState.get(key);
           if (team) {
-            team.tasks = tasks;
+            team.tasks = readTeamTasks(workspace, teamName);
           }
 
-          // Read the specific task that changed
-          const taskFile = path.join(TASKS_DIR, filename);
-          const task = readJsonSafe(taskFile);
-          if (task) {
-            broadcast({
-              type: "task_update",
-              teamName,
-              task: {
-                id: task.id || path.basename(filename, ".json"),
-                subject: task.subject || task.title || filename,
-                description: task.description || "",
-                status: task.status || "pending",
-                owner: task.owner || task.assignee || null,
-                blockedBy: task.blockedBy || task.dependencies || [],
-                blocks: task.blocks || [],
-                activeForm: task.activeForm || null,
-              },
-            });
-          }
-        }, 200);
+          // The task that changed (null once its file is deleted), plus the whole
+          // list so boards can redraw dependencies
+          const taskId = path.basename(filename, ".json");
+          const task = readJsonSafe(path.join(tasksDir, filename));
+          broadcast({
+            type: "task_update",
+            teamName: key,
+            taskId: String(task?.id || taskId),
+            task: task ? normalizeTask(task, taskId) : null,
+            tasks: team ? teamTaskList(team) : undefined,
+          });
+        });
       });
-      console.log(`  📋 Watching ${TASKS_DIR}`);
+      console.log(`  📋 Watching ${tasksDir}`);
     } catch (e) {
       console.log(`  ⚠️  Could not watch tasks dir: ${e.message}`);
     }
   } else {
-    console.log(`  ℹ️  No tasks dir at ${TASKS_DIR}`);
+    console.log(`  ℹ️  No tasks dir at ${tasksDir}`);
+  }
+}
+
+function recordJsonlSizes(dir, sizes) {
+  let entries;
+  try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      recordJsonlSizes(full, sizes);
+    } else if (entry.name.endsWith(".jsonl")) {
+      try { sizes.set(full, fs.statSync(full).size); } catch {}
+    }
   }
 }
 
 // 3. Watch JSONL transcripts (optional, heavier)
-function watchTranscripts() {
-  if (!fs.existsSync(PROJECTS_DIR)) {
-    console.log(`  ℹ️  No projects dir at ${PROJECTS_DIR}`);
+function watchTranscripts(workspace) {
+  const { projectsDir } = workspace;
+  if (!fs.existsSync(projectsDir)) {
+    console.log(`  ℹ️  No projects dir at ${projectsDir}`);
     return;
   }
 
-  // Track file sizes for each jsonl
+  // Track file sizes for each jsonl. Existing transcripts are tailed from
+  // their current size; files created later are read from the start (so the
+  // first assistant message — and its usage — isn't skipped).
   const fileSizes = new Map();
+  recordJsonlSizes(projectsDir, fileSizes);
 
   try {
-    fs.watch(PROJECTS_DIR, { recursive: true }, (eventType, filename) => {
+    fs.watch(projectsDir, { recursive: true }, (eventType, filename) => {
       if (!filename || !filename.endsWith(".jsonl")) return;
-      const fullPath = path.join(PROJECTS_DIR, filename);
+      const fullPath = path.join(projectsDir, filename);
 
       try {
         const stat = fs.statSync(fullPath);
-        const prevSize = fileSizes.get(fullPath) || stat.size;
+        const prevSize = fileSizes.has(fullPath) ? fileSizes.get(fullPath) : 0;
+        if (!fileSizes.has(fullPath)) noteTranscript(fullPath);
 
         if (stat.size <= prevSize) {
           fileSizes.set(fullPath, stat.size);
@@ -1186,11 +3787,28 @@ function watchTranscripts() {
         let buffer = "";
         stream.on("data", (chunk) => { buffer += chunk; });
         stream.on("end", () => {
-          fileSizes.set(fullPath, stat.size);
-          const lines = buffer.split("\n").filter(Boolean);
+          // Leave a line that's still being written for the next change
+          const complete = buffer.substring(0, buffer.lastIndexOf("\n") + 1);
+          const end = prevSize + Buffer.byteLength(complete);
+          fileSizes.set(fullPath, end);
+          const lines = complete.split("\n").filter(Boolean);
+          pushTranscriptLines(fullPath, prevSize, end, lines);
           for (const line of lines) {
             try {
               const entry = JSON.parse(line);
+              // Subagent transcripts are sidechains of the session that ran the Task call
+              const nodeId = entry.session_id || path.basename(fullPath, ".jsonl");
+              if (entry.isSidechain && entry.sessionId && entry.sessionId !== nodeId) {
+                const content = entry.message?.content;
+                const prompt = entry.type === "user" && !entry.parentUuid
+                  ? (typeof content === "string" ? content : (Array.isArray(content) ? content.find(b => b.type === "text")?.text : null))
+                  : null;
+                linkSidechain(getOrCreateAgent(nodeId, { cwd: entry.cwd, workspace: workspace.id }), entry.sessionId, prompt);
+              }
+              if (entry.type === "assistant" && entry.message?.usage) {
+                recordUsage(entry.session_id || path.basename(fullPath, ".jsonl"),
+                  entry.message.model, entry.message.usage, entry.message.id, workspace.id);
+              }
               // Extract tool_use entries from transcript
               if (entry.type === "assistant" && entry.message?.content) {
                 const contents = Array.isArray(entry.message.content) ? entry.message.content : [entry.message.content];
@@ -1201,7 +3819,10 @@ function watchTranscripts() {
                       hook_event_name: "PostToolUse",
                       tool_name: block.name,
                       tool_input: block.input || {},
+                      tool_use_id: block.id,
+                      from_transcript: true,
                       cwd: entry.cwd,
+                      workspace: workspace.id,
                     });
                   }
                 }
@@ -1211,12 +3832,401 @@ function watchTranscripts() {
         });
       } catch {}
     });
-    console.log(`  📝 Watching ${PROJECTS_DIR}/**/*.jsonl`);
+    console.log(`  📝 Watching ${projectsDir}/**/*.jsonl`);
   } catch (e) {
     console.log(`  ⚠️  Could not watch transcripts: ${e.message}`);
   }
 }
 
+// ── Transcript viewer ──────────────────────────────────────────────
+// Transcripts are found lazily — {sessionId}.jsonl somewhere under a
+// projects dir — and tailed by the watcher above for subscribed clients
+const TRANSCRIPT_TAIL_BYTES = 4 * 1024 * 1024;
+const TRANSCRIPT_DEFAULT_ENTRIES = 500;
+const TRANSCRIPT_TEXT_MAX = 20000; // longer text and tool output is clipped
+// A fruitless search walks every project dir, so misses are remembered for a
+// while; transcripts the watcher sees being written are known without one
+const TRANSCRIPT_MISS_TTL_MS = 30000;
+const transcriptFiles = new Map(); // agentId -> transcript path
+const transcriptMisses = new Map(); // agentId -> when the last search came up empty
+
+function noteTranscript(filePath) {
+  const agentId = path.basename(filePath, ".jsonl");
+  transcriptFiles.set(agentId, filePath);
+  transcriptMisses.delete(agentId);
+}
+
+function findTranscript(agent) {
+  const cached = transcriptFiles.get(agent.id);
+  if (cached && fs.existsSync(cached)) return cached;
+  if (Date.now() - (transcriptMisses.get(agent.id) ?? -Infinity) < TRANSCRIPT_MISS_TTL_MS) return null;
+
+  const fileName = `${agent.id}.jsonl`;
+  const workspaces = WORKSPACES.filter(w => !w.remote && (!agent.workspace || w.id === agent.workspace));
+  // projects/<project>/<session>.jsonl, or deeper for subagent transcripts
+  const search = (dir, depth) => {
+    let entries;
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return null; }
+    if (entries.some(e => e.isFile() && e.name === fileName)) return path.join(dir, fileName);
+    if (depth === 0) return null;
+    for (const e of entries) {
+      if (!e.isDirectory()) continue;
+      const found = search(path.join(dir, e.name), depth - 1);
+      if (found) return found;
+    }
+    return null;
+  };
+  for (const workspace of workspaces) {
+    const found = search(workspace.projectsDir, 3);
+    if (found) {
+      transcriptFiles.set(agent.id, found);
+      return found;
+    }
+  }
+  transcriptMisses.set(agent.id, Date.now());
+  return null;
+}
+
+// Complete lines between two byte offsets, and where the last one ends
+function readTranscriptLines(filePath, start, end) {
+  if (end <= start) return { lines: [], end: start };
+  // Read one byte early: a newline there means `start` begins a whole line
+  const readFrom = Math.max(0, start - 1);
+  let fd;
+  try {
+    fd = fs.openSync(filePath, "r");
+    const buf = Buffer.alloc(end - readFrom);
+    fs.readSync(fd, buf, 0, buf.length, readFrom);
+    const lastNewline = buf.lastIndexOf(0x0a);
+    const first = start === 0 ? 0 : buf.indexOf(0x0a) + 1;
+    if (lastNewline < first) return { lines: [], end: start };
+    const lines = buf.subarray(first, lastNewline).toString("utf8").split("\n");
+    return { lines: lines.filter(Boolean), end: readFrom + lastNewline + 1 };
+  } catch {
+    return { lines: [], end: start };
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+function clipText(text) {
+  const str = typeof text === "string" ? text : JSON.stringify(text, null, 2) ?? "";
+  return str.length > TRANSCRIPT_TEXT_MAX
+    ? { text: str.substring(0, TRANSCRIPT_TEXT_MAX), clipped: str.length }
+    : { text: str };
+}
+
+// One transcript line → display entries: user, assistant, thinking,
+// tool_use, tool_result or system
+function transcriptEntries(line) {
+  let entry;
+  try { entry = JSON.parse(line); } catch { return []; }
+  const base = { uuid: entry.uuid || null, ts: entry.timestamp ? Date.parse(entry.timestamp) || null : null };
+  if (entry.isSidechain !== undefined) base.sidechain = !!entry.isSidechain;
+
+  if (entry.type === "summary") return [{ ...base, kind: "system", ...clipText(`Summary: ${entry.summary}`) }];
+  if (entry.type === "system") return entry.content ? [{ ...base, kind: "system", ...clipText(entry.content) }] : [];
+  if (entry.type !== "user" && entry.type !== "assistant") return [];
+
+  const content = entry.message?.content;
+  const blocks = typeof content === "string" ? [{ type: "text", text: content }] : Array.isArray(content) ? content : [];
+  const out = [];
+  for (const block of blocks) {
+    if (block.type === "text" && block.text?.trim()) {
+      out.push({ ...base, kind: entry.isMeta ? "system" : entry.type, ...clipText(block.text) });
+    } else if (block.type === "thinking" && block.thinking) {
+      out.push({ ...base, kind: "thinking", ...clipText(block.thinking) });
+    } else if (block.type === "tool_use") {
+      out.push({ ...base, kind: "tool_use", tool: block.name, toolUseId: block.id, ...clipText(block.input || {}) });
+    } else if (block.type === "tool_result") {
+      const result = Array.isArray(block.content)
+        ? block.content.map(c => c.type === "text" ? c.text : `[${c.type}]`).join("\n")
+        : block.content ?? "";
+      out.push({ ...base, kind: "tool_result", toolUseId: block.tool_use_id, isError: !!block.is_error, ...clipText(result) });
+    }
+  }
+  if (entry.type === "assistant" && entry.message?.model && out.length) out[0].model = entry.message.model;
+  return out;
+}
+
+// New lines of a transcript → clients tailing it. `from` lets them spot a gap.
+function pushTranscriptLines(filePath, from, end, lines) {
+  let entries = null;
+  for (const client of clients) {
+    if (client.transcript?.file !== filePath || client.readyState !== 1) continue;
+    entries = entries || lines.flatMap(transcriptEntries);
+    client.send(JSON.stringify({ type: "transcript_entries", agentId: client.transcript.agentId, from, offset: end, entries }));
+  }
+}
+
+// -------------------------------------------------------------------
+// Startup replay — rebuild state from events.jsonl after a restart
+// -------------------------------------------------------------------
+let replaying = false; // true while history is fed through processEvent()
+
+// Complete lines from the last `maxBytes` before `end` in a JSONL file
+function readJsonlTail(filePath, end, maxBytes) {
+  const start = Math.max(0, end - maxBytes);
+  if (end <= start) return [];
+  let fd;
+  try {
+    fd = fs.openSync(filePath, "r");
+    const buf = Buffer.alloc(end - start);
+    fs.readSync(fd, buf, 0, buf.length, start);
+    const lines = buf.toString("utf8").split("\n");
+    // Starting mid-file means the first line is (probably) a fragment
+    if (start > 0) lines.shift();
+    return lines.filter(Boolean);
+  } catch {
+    return [];
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+function replayHistory() {
+  if (!REPLAY_LOOKBACK_MS) return;
+  const since = Date.now() - REPLAY_LOOKBACK_MS;
+  let eventCount = 0;
+  let messageCount = 0;
+  let usageCount = 0;
+
+  replaying = true;
+  try {
+    // 1. Hook events through the normal pipeline — in file order, or
+    // interleaved by time when several workspaces are watched
+    const history = [];
+    for (const workspace of WORKSPACES) {
+      for (const line of readJsonlTail(workspace.eventsFile, workspace.eventsFileSize, REPLAY_MAX_BYTES)) {
+        let evt;
+        try { evt = JSON.parse(line); } catch { continue; }
+        if (!evt.ts || evt.ts < since) continue;
+        evt.workspace = workspace.id;
+        history.push(evt);
+      }
+    }
+    // …plus what remote hooks posted, already tagged with their workspace
+    let remoteCount = 0;
+    const remoteSize = fs.existsSync(REMOTE_EVENTS_FILE) ? fs.statSync(REMOTE_EVENTS_FILE).size : 0;
+    for (const line of readJsonlTail(REMOTE_EVENTS_FILE, remoteSize, REPLAY_MAX_BYTES)) {
+      let evt;
+      try { evt = JSON.parse(line); } catch { continue; }
+      if (!evt.ts || evt.ts < since) continue;
+      const workspace = ensureWorkspace(sanitizeWorkspaceId(evt.workspace) || "remote");
+      if (!workspace) continue;
+      evt.workspace = workspace.id;
+      history.push(evt);
+      remoteCount++;
+    }
+    if (WORKSPACES.length > 1 || remoteCount) history.sort((a, b) => a.ts - b.ts);
+    for (const evt of history) {
+      try {
+        processEvent(evt);
+        eventCount++;
+      } catch {
+        // Skip malformed events, as the live watcher does
+      }
+    }
+
+    // 2. Agent Teams inbox messages → message edges (teams were loaded by readAllTeams)
+    const inboxMessages = [];
+    for (const [teamName, team] of teamsState) {
+      for (const [agentName, messages] of team.inboxes) {
+        for (const msg of messages) {
+          const ts = Date.parse(msg.timestamp);
+          if (msg.from && ts >= since) inboxMessages.push(inboxVisualMessage(teamName, agentName, msg, ts));
+        }
+      }
+    }
+    inboxMessages.sort((a, b) => a.timestamp - b.timestamp);
+    for (const msg of inboxMessages) {
+      recordMessage(msg);
+      messageCount++;
+    }
+
+    // 3. Token usage, which only transcripts carry. Agents and teams exist by
+    // now, so it lands on the same counters as it did live.
+    for (const workspace of WORKSPACES) {
+      if (!workspace.remote) usageCount += replayTranscriptUsage(workspace, since);
+    }
+  } finally {
+    replaying = false;
+  }
+
+  if (eventCount || messageCount || usageCount) {
+    console.log(`  ⏪ Replayed ${eventCount} event(s), ${messageCount} inbox message(s) and ${usageCount} usage message(s) from the last ${Math.round(REPLAY_LOOKBACK_MS / 60000)}m`);
+  }
+}
+
+// Assistant messages written inside the lookback window, counted once by id
+// as recordUsage() always does
+function replayTranscriptUsage(workspace, since) {
+  const sizes = new Map();
+  recordJsonlSizes(workspace.projectsDir, sizes);
+  let count = 0;
+  for (const [filePath, size] of sizes) {
+    try { if (fs.statSync(filePath).mtimeMs < since) continue; } catch { continue; }
+    for (const line of readJsonlTail(filePath, size, REPLAY_MAX_BYTES)) {
+      let entry;
+      try { entry = JSON.parse(line); } catch { continue; }
+      if (entry.type !== "assistant" || !entry.message?.usage) continue;
+      if (Date.parse(entry.timestamp) < since) continue;
+      if (!entry.message.id || !countedMessageIds.has(entry.message.id)) count++;
+      try {
+        recordUsage(entry.session_id || path.basename(filePath, ".jsonl"),
+          entry.message.model, entry.message.usage, entry.message.id, workspace.id);
+      } catch {}
+    }
+  }
+  return count;
+}
+
+// -------------------------------------------------------------------
+// Playback mode — feed a recorded events.jsonl through processEvent()
+// on a virtual clock the UI can pause, seek and speed up
+// -------------------------------------------------------------------
+const PLAYBACK_SPEEDS = [1, 4, 16];
+const playback = {
+  events: [],    // recorded events sorted by ts
+  index: 0,      // next event to feed
+  start: 0,
+  end: 0,
+  position: 0,   // virtual time at `anchor`
+  anchor: 0,     // wall-clock time `position` was last set
+  playing: false,
+  speed: 1,
+  timer: null,
+};
+
+// Current time as seen by the event pipeline (virtual while playing back)
+function clockNow() {
+  return PLAYBACK_FILE ? playbackNow() : Date.now();
+}
+
+function playbackNow() {
+  if (!playback.playing) return playback.position;
+  return Math.min(playback.end, playback.position + (Date.now() - playback.anchor) * playback.speed);
+}
+
+function setPlaybackPosition(position) {
+  playback.position = position;
+  playback.anchor = Date.now();
+}
+
+function playbackStatus() {
+  return {
+    file: path.basename(PLAYBACK_FILE),
+    playing: playback.playing,
+    speed: playback.speed,
+    position: playbackNow(),
+    start: playback.start,
+    end: playback.end,
+    index: playback.index,
+    total: playback.events.length,
+  };
+}
+
+function broadcastPlaybackState() {
+  broadcast({ type: "playback_state", ...playbackStatus() });
+}
+
+// A malformed recorded event is skipped rather than ending playback
+function feedPlaybackEvent(evt) {
+  try {
+    processEvent(evt);
+  } catch (e) {
+    console.log(`  ⚠️  Skipping recorded event: ${e.message}`);
+  }
+}
+
+// Feed every event that is due, then sleep until the next one
+function schedulePlayback() {
+  clearTimeout(playback.timer);
+  if (!playback.playing) return;
+  if (playback.index >= playback.events.length) {
+    setPlaybackPosition(playback.end);
+    playback.playing = false;
+    broadcastPlaybackState();
+    return;
+  }
+  const next = playback.events[playback.index];
+  const delay = Math.max(0, (next.ts - playbackNow()) / playback.speed);
+  playback.timer = setTimeout(() => {
+    const now = playbackNow();
+    while (playback.index < playback.events.length && playback.events[playback.index].ts <= now) {
+      feedPlaybackEvent(playback.events[playback.index++]);
+    }
+    schedulePlayback();
+  }, Math.min(delay, 0x7fffffff));
+}
+
+// Rebuild state from scratch up to `target` and resend every client a snapshot
+function seekPlayback(target) {
+  target = Math.max(playback.start, Math.min(playback.end, target));
+  resetState();
+  replaying = true;
+  try {
+    playback.index = 0;
+    while (playback.index < playback.events.length && playback.events[playback.index].ts <= target) {
+      feedPlaybackEvent(playback.events[playback.index++]);
+    }
+  } finally {
+    replaying = false;
+  }
+  setPlaybackPosition(target);
+  broadcast({ ...buildSnapshot(), reset: true });
+  schedulePlayback();
+}
+
+function handlePlaybackControl(msg) {
+  if (!PLAYBACK_FILE) return;
+  if (msg.action === "seek" && Number.isFinite(msg.position)) {
+    seekPlayback(msg.position);
+  } else if (msg.action === "play") {
+    if (playback.index >= playback.events.length) seekPlayback(playback.start);
+    setPlaybackPosition(playbackNow());
+    playback.playing = true;
+  } else if (msg.action === "pause") {
+    setPlaybackPosition(playbackNow());
+    playback.playing = false;
+  } else if (msg.action === "speed" && PLAYBACK_SPEEDS.includes(msg.speed)) {
+    setPlaybackPosition(playbackNow());
+    playback.speed = msg.speed;
+  } else {
+    return;
+  }
+  schedulePlayback();
+  broadcastPlaybackState();
+}
+
+function runPlayback() {
+  const size = fs.existsSync(PLAYBACK_FILE) ? fs.statSync(PLAYBACK_FILE).size : 0;
+  for (const line of readJsonlTail(PLAYBACK_FILE, size, size)) {
+    try {
+      const evt = JSON.parse(line);
+      if (Number.isFinite(evt.ts)) playback.events.push(evt);
+    } catch {}
+  }
+  // Stable sort: hooks from parallel agents can land slightly out of order
+  playback.events.sort((a, b) => a.ts - b.ts);
+
+  if (playback.events.length === 0) {
+    console.log(`  ⚠️  No timestamped events in ${PLAYBACK_FILE}`);
+    return;
+  }
+  playback.start = playback.events[0].ts;
+  playback.end = playback.events[playback.events.length - 1].ts;
+  setPlaybackPosition(playback.start);
+  playback.playing = true;
+  schedulePlayback();
+
+  // Keep scrubbers in sync while the clock runs
+  setInterval(() => { if (playback.playing) broadcastPlaybackState(); }, 1000);
+
+  const minutes = Math.round((playback.end - playback.start) / 60000);
+  console.log(`  ⏯  Playing back ${playback.events.length} event(s) (${minutes}m) from ${PLAYBACK_FILE}`);
+}
+
 // -------------------------------------------------------------------
 // Demo mode - simulates a multi-agent refactor
 // -------------------------------------------------------------------
@@ -1334,7 +4344,7 @@ function runDemo() {
     { id: "5", subject: "OAuth2 callback handler", status: "in_progress", owner: "api-worker", blockedBy: ["1"] },
     { id: "6", subject: "Unit tests for auth logic", status: "in_progress", owner: "test-worker", blockedBy: ["3"] },
     { id: "7", subject: "OAuth provider links migration", status: "in_progress", owner: "db-worker", blockedBy: ["2"] },
-    { id: "8", subject: "E2E login flow tests", status: "blocked", owner: "test-worker", blockedBy: ["4", "5"] },
+    { id: "8", subject: "E2E login flow tests", status: "pending", owner: "test-worker", blockedBy: ["4", "5"] },
     { id: "9", subject: "Lint and format codebase", status: "pending", owner: "linter", blockedBy: ["4", "5", "7"] },
     { id: "10", subject: "Token refresh UI component", status: "pending", owner: "ui-worker", blockedBy: ["5"] },
   ];
@@ -1389,6 +4399,7 @@ function runDemo() {
       hook_event_name: "PreToolUse",
       tool_name: "Task",
       tool_input: { description: def.taskLabel },
+      tool_use_id: `toolu_task_${def.name}`,
     });
 
     // Subagent starts after a short delay (simulating spawn)
@@ -1398,6 +4409,7 @@ function runDemo() {
         hook_event_name: "SessionStart",
         model: "claude-sonnet-4-5",
         cwd: "/project",
+        parent_tool_use_id: `toolu_task_${def.name}`,
       });
 
       // Enrich with team metadata (role, color, spawn prompt, team name)
@@ -1439,25 +4451,32 @@ function runDemo() {
       return;
     }
 
+    const toolUseId = `toolu_demo_${Math.random().toString(36).substr(2, 9)}`;
     processEvent({
       session_id: def.id,
       hook_event_name: "PreToolUse",
       tool_name: tool,
+      tool_use_id: toolUseId,
       tool_input: {
         file_path: file,
         command: tool === "Bash" ? `npm test -- --grep "${file}"` : undefined,
       },
     });
 
+    // Now and then a test run fails
+    const failing = tool === "Bash" && Math.random() < 0.25;
     setTimeout(() => {
       processEvent({
         session_id: def.id,
         hook_event_name: "PostToolUse",
         tool_name: tool,
+        tool_use_id: toolUseId,
         tool_input: { file_path: file },
         tool_response: {
           file: tool === "Read" ? { content: "x".repeat(200 + Math.floor(Math.random() * 2000)) } : undefined,
-          stdout: tool === "Bash" ? "PASS: 12 tests passed\n" : undefined,
+          stdout: tool === "Bash" ? (failing ? "FAIL: 1 of 12 tests failed\n" : "PASS: 12 tests passed\n") : undefined,
+          stderr: failing ? `AssertionError: expected 401 to equal 200 (${file})` : undefined,
+          exit_code: tool === "Bash" ? (failing ? 1 : 0) : undefined,
         },
       });
     }, 500 + Math.random() * 1500);
@@ -1477,8 +4496,7 @@ function runDemo() {
             text: msg,
             timestamp: Date.now(),
           };
-          recentMessages.push(message);
-          if (recentMessages.length > MAX_MESSAGES) recentMessages.shift();
+          recordMessage(message);
           broadcast({ type: "message", message });
 
           // Also inject into team inbox state so context panel shows it
@@ -1513,7 +4531,7 @@ function runDemo() {
       if (team) {
         // Find a task that can advance
         const progressable = [...team.tasks.values()].filter(t =>
-          (t.status === "pending" || t.status === "blocked") &&
+          t.status === "pending" &&
           (t.blockedBy || []).every(dep => {
             const depTask = team.tasks.get(dep);
             return depTask && depTask.status === "completed";
@@ -1522,7 +4540,7 @@ function runDemo() {
         if (progressable.length > 0) {
           const task = progressable[Math.floor(Math.random() * progressable.length)];
           task.status = "in_progress";
-          broadcast({ type: "task_update", teamName: TEAM_NAME, task });
+          broadcast({ type: "task_update", teamName: TEAM_NAME, taskId: task.id, task: normalizeTask(task), tasks: teamTaskList(team) });
         }
 
         // Occasionally complete an in_progress task
@@ -1531,7 +4549,7 @@ function runDemo() {
           if (inProgress.length > 0) {
             const task = inProgress[Math.floor(Math.random() * inProgress.length)];
             task.status = "completed";
-            broadcast({ type: "task_update", teamName: TEAM_NAME, task });
+            broadcast({ type: "task_update", teamName: TEAM_NAME, taskId: task.id, task: normalizeTask(task), tasks: teamTaskList(team) });
           }
         }
       }
@@ -1574,22 +4592,48 @@ function runDemo() {
 // -------------------------------------------------------------------
 // Start
 // -------------------------------------------------------------------
-server.listen(PORT, () => {
+server.listen(PORT, HOST, () => {
+  const displayHost = HOST === "0.0.0.0" || HOST === "::" ? "localhost" : HOST.includes(":") ? `[${HOST}]` : HOST;
   console.log("");
   console.log("  ┌─────────────────────────────────────┐");
   console.log("  │       🔮 Swarm Observer v0.1         │");
   console.log("  └─────────────────────────────────────┘");
   console.log("");
-  console.log(`  → http://localhost:${PORT}`);
+  if (!AUTH_ENABLED) {
+    console.log(`  → http://${displayHost}:${PORT}`);
+    console.log("  ⚠️  Authentication is off (--no-auth) — anyone who can reach this port can run claude");
+  } else if (CONFIGURED_TOKEN) {
+    console.log(`  → http://${displayHost}:${PORT}/?token=<SWARM_TOKEN>`);
+  } else {
+    console.log(`  → http://${displayHost}:${PORT}/?token=${OPERATOR_TOKEN}`);
+    console.log("    (one-time token — set SWARM_TOKEN to keep it across restarts)");
+  }
+  if (VIEWER_TOKEN) console.log("    Read-only access: ?token=<SWARM_VIEWER_TOKEN>");
   console.log("");
 
-  if (DEMO) {
+  if (PLAYBACK_FILE) {
+    runPlayback();
+  } else if (DEMO) {
     runDemo();
   } else {
-    watchEventsFile();
-    watchAgentTeams();
-    watchTranscripts();
+    if (WORKSPACES.length > 1) {
+      console.log(`  🗂  Workspaces: ${WORKSPACES.map(w => `${w.id} (${w.claudeDir})`).join(", ")}`);
+    }
+    for (const workspace of WORKSPACES) {
+      watchEventsFile(workspace);
+      watchAgentTeams(workspace);
+    }
+    replayHistory();
+    for (const workspace of WORKSPACES) {
+      if (!workspace.remote) watchTranscripts(workspace);
+    }
   }
+  setInterval(sweepBudgets, 1000);
+  // Before anyone connects, so the first snapshot has them
+  sweepBlocked();
+  sweepHealth();
+  setInterval(sweepBlocked, 1000);
+  setInterval(sweepHealth, HEALTH.sweepMs);
 
   console.log("");
   console.log("  Ready. Open the URL above in your browser.");
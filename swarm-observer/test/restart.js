@@ -82,7 +82,8 @@ async function run() {
     proc.stdout.on("data", (chunk) => {
       stdout += chunk.toString();
       if (stdout.includes("Ready")) {
-        log(`✓ Server ready at http://localhost:${PORT}`);
+        const url = stdout.match(/→ (http\S+)/);
+        log(`✓ Server ready at ${url ? url[1] : `http://localhost:${PORT}`}`);
         log(`  PID: ${proc.pid}`);
         console.log("");
         resolve();
@@ -13,6 +13,8 @@
  *   node test/screenshot.js --click          # also click a node to open context panel
  *   node test/screenshot.js --click --wait 3 # wait 3 extra seconds before capturing
  *
+ * Pass the server's token with --token <token> or SWARM_TOKEN.
+ *
  * Output:
  *   test/screenshots/latest.png              — full graph (always)
  *   test/screenshots/latest-panel.png        — context panel (with --click)
@@ -25,6 +27,7 @@ const args = process.argv.slice(2);
 const PORT = getArg("--port", "3333");
 const CLICK_NODE = args.includes("--click");
 const EXTRA_WAIT = parseInt(getArg("--wait", "0"), 10) * 1000;
+const TOKEN = getArg("--token", process.env.SWARM_TOKEN || "");
 const SCREENSHOTS_DIR = path.join(__dirname, "screenshots");
 
 function getArg(flag, defaultVal) {
@@ -55,15 +58,15 @@ async function run() {
   const http = require("http");
   try {
     await new Promise((resolve, reject) => {
-      http.get(`http://127.0.0.1:${PORT}/api/state`, (res) => {
+      http.get(`http://127.0.0.1:${PORT}/api/state`, { headers: { Authorization: `Bearer ${TOKEN}` } }, (res) => {
         if (res.statusCode === 200) resolve();
         else reject(new Error(`Server returned ${res.statusCode}`));
         res.resume();
       }).on("error", reject);
     });
   } catch {
-    log(`✗ No server running at localhost:${PORT}`);
-    log("  Start it with: npm start");
+    log(`✗ No server running at localhost:${PORT} (or it rejected the token)`);
+    log("  Start it with: npm start, and pass its token with --token or SWARM_TOKEN");
     process.exit(1);
   }
 
@@ -77,7 +80,7 @@ async function run() {
     await page.setViewport({ width: 1440, height: 900, deviceScaleFactor: 2 });
 
     log("Loading page...");
-    await page.goto(`http://127.0.0.1:${PORT}`, { waitUntil: "networkidle2", timeout: 10000 });
+    await page.goto(`http://127.0.0.1:${PORT}/?token=${encodeURIComponent(TOKEN)}`, { waitUntil: "networkidle2", timeout: 10000 });
 
     // Wait for WebSocket data to arrive and D3 to settle
     await new Promise(r => setTimeout(r, 2000 + EXTRA_WAIT));
@@ -9,14 +9,20 @@
  * Usage: node test/server.test.js
  */
 
-const { spawn } = require("child_process");
+const { spawn, execFile } = require("child_process");
+const fs = require("fs");
 const http = require("http");
+const os = require("os");
 const path = require("path");
+const zlib = require("zlib");
 const WebSocket = require("ws");
 
 const PORT = 13579; // Use a high port to avoid conflicts
 const SERVER_JS = path.join(__dirname, "..", "server.js");
-const TIMEOUT_MS = 15000;
+const TIMEOUT_MS = 50000; // the suite takes ~30s on one core; run-tests.js stops it at 60s
+const TOKEN = "test-operator-token";
+const VIEWER_TOKEN = "test-viewer-token";
+const INGEST_TOKEN = "test-ingest-token";
 
 let serverProc = null;
 let passed = 0;
@@ -40,38 +46,50 @@ function assert(condition, name) {
   }
 }
 
-function startServer() {
+// Spawn a server process and resolve once it prints "Ready"
+function launchServer(args, { port = PORT, env = {} } = {}) {
   return new Promise((resolve, reject) => {
-    const env = { ...process.env, PORT: String(PORT) };
-    serverProc = spawn(process.execPath, [SERVER_JS, "--demo"], {
-      env,
+    const proc = spawn(process.execPath, [SERVER_JS, ...args], {
+      env: { ...process.env, PORT: String(port), SWARM_TOKEN: TOKEN, SWARM_VIEWER_TOKEN: VIEWER_TOKEN, ...env },
       stdio: ["ignore", "pipe", "pipe"],
       cwd: path.join(__dirname, ".."),
     });
 
     let stderr = "";
-    serverProc.stderr.on("data", (chunk) => { stderr += chunk.toString(); });
+    proc.stderr.on("data", (chunk) => { stderr += chunk.toString(); });
 
     // Wait for "Ready" in stdout
     let stdout = "";
-    serverProc.stdout.on("data", (chunk) => {
+    proc.stdout.on("data", (chunk) => {
       stdout += chunk.toString();
       if (stdout.includes("Ready")) {
-        resolve();
+        resolve(proc);
       }
     });
 
-    serverProc.on("error", (err) => reject(new Error(`Server failed to start: ${err.message}`)));
+    proc.on("error", (err) => reject(new Error(`Server failed to start: ${err.message}`)));
 
     // Timeout
     setTimeout(() => {
       if (!stdout.includes("Ready")) {
+        proc.kill("SIGTERM");
         reject(new Error(`Server did not become ready in 5s.\nstdout: ${stdout}\nstderr: ${stderr}`));
       }
     }, 5000);
   });
 }
 
+async function startServer() {
+  serverProc = await launchServer(["--demo"]);
+}
+
+// Fresh ~/.claude layout in a temp dir, for tests that need a non-demo server
+function makeTempHome() {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), "swarm-observer-test-"));
+  fs.mkdirSync(path.join(home, ".claude", "swarm-viz"), { recursive: true });
+  return home;
+}
+
 function stopServer() {
   if (serverProc) {
     serverProc.kill("SIGTERM");
@@ -79,19 +97,45 @@ function stopServer() {
   }
 }
 
-function httpGet(urlPath) {
+// urlPath is sent as-is (no client-side ../ normalization), so traversal attempts reach the server
+function httpGet(urlPath, port = PORT, token = TOKEN, extraHeaders = {}) {
   return new Promise((resolve, reject) => {
-    http.get(`http://127.0.0.1:${PORT}${urlPath}`, (res) => {
-      let body = "";
-      res.on("data", (chunk) => { body += chunk; });
-      res.on("end", () => resolve({ status: res.statusCode, body }));
+    const headers = { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...extraHeaders };
+    http.get({ host: "127.0.0.1", port, path: urlPath, headers }, (res) => {
+      const chunks = [];
+      res.on("data", (chunk) => { chunks.push(chunk); });
+      res.on("end", () => {
+        const raw = Buffer.concat(chunks);
+        resolve({ status: res.statusCode, headers: res.headers, body: raw.toString(), raw });
+      });
     }).on("error", reject);
   });
 }
 
-function wsConnect() {
+function httpPost(urlPath, body, port = PORT, token = TOKEN, extraHeaders = {}) {
   return new Promise((resolve, reject) => {
-    const ws = new WebSocket(`ws://127.0.0.1:${PORT}`);
+    const headers = {
+      "Content-Type": "application/json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...extraHeaders,
+    };
+    const req = http.request({ host: "127.0.0.1", port, path: urlPath, method: "POST", headers }, (res) => {
+      let data = "";
+      res.on("data", (chunk) => { data += chunk; });
+      res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+function wsConnect(port = PORT, token = TOKEN) {
+  return new Promise((resolve, reject) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const ws = new WebSocket(`ws://127.0.0.1:${port}`, { headers });
+    // The snapshot can arrive in the same packet as the upgrade response,
+    // i.e. before the caller gets a chance to listen — hold on to it
+    ws.firstMessage = new Promise((res) => ws.once("message", res));
     ws.on("open", () => resolve(ws));
     ws.on("error", reject);
     setTimeout(() => reject(new Error("WS connect timeout")), 3000);
@@ -99,6 +143,14 @@ function wsConnect() {
 }
 
 function wsRecv(ws, timeoutMs = 3000) {
+  if (ws.firstMessage) {
+    const first = ws.firstMessage;
+    ws.firstMessage = null;
+    return first.then((raw) => {
+      try { return JSON.parse(raw.toString()); }
+      catch { return raw.toString(); }
+    });
+  }
   return new Promise((resolve, reject) => {
     const timer = setTimeout(() => reject(new Error("WS recv timeout")), timeoutMs);
     ws.once("message", (raw) => {
@@ -148,6 +200,75 @@ async function testHttpServing() {
   assert(notFound.status === 404, "GET /nope returns 404");
 }
 
+async function testStaticHardening() {
+  log("─", "Static file serving");
+
+  const attempts = [
+    "/../server.js",
+    "/..%2fserver.js",
+    "/%2e%2e/%2e%2e/etc/passwd",
+    "/%2e%2e%2f%2e%2e%2fserver.js",
+    "/..%5cserver.js",
+    "/public/../../server.js",
+    "/index.html%00.png",
+    "/.env",
+  ];
+  for (const attempt of attempts) {
+    const res = await httpGet(attempt);
+    assert([403, 404].includes(res.status) && !res.body.includes("WebSocketServer"), `Traversal rejected: ${attempt} (${res.status})`);
+  }
+  assert((await httpGet("/%E0%A4%A")).status === 403, "Malformed escapes are rejected");
+
+  const page = await httpGet("/index.html?v=2#x");
+  assert(page.status === 200 && page.body.includes("Swarm Observer"), "Query strings are ignored when resolving files");
+  assert(page.headers["content-type"] === "text/html; charset=utf-8", "HTML is served with a charset");
+  assert(page.headers["cache-control"] === "no-cache", "HTML revalidates on every load");
+  assert(!!page.headers.etag && !!page.headers["last-modified"], "ETag and Last-Modified are set");
+
+  const revalidated = await httpGet("/", PORT, TOKEN, { "If-None-Match": page.headers.etag });
+  assert(revalidated.status === 304 && revalidated.raw.length === 0, "Matching ETag → 304 without a body");
+  const since = await httpGet("/", PORT, TOKEN, { "If-Modified-Since": page.headers["last-modified"] });
+  assert(since.status === 304, "If-Modified-Since → 304");
+
+  const gz = await httpGet("/", PORT, TOKEN, { "Accept-Encoding": "gzip" });
+  assert(gz.headers["content-encoding"] === "gzip" && zlib.gunzipSync(gz.raw).equals(page.raw), "gzip when accepted");
+  const br = await httpGet("/", PORT, TOKEN, { "Accept-Encoding": "gzip, deflate, br" });
+  assert(br.headers["content-encoding"] === "br" && zlib.brotliDecompressSync(br.raw).equals(page.raw), "Brotli preferred when accepted");
+  assert(br.headers.vary === "Accept-Encoding", "Compressed responses vary on Accept-Encoding");
+}
+
+async function testAuth() {
+  log("─", "Token auth and roles");
+
+  const noToken = await httpGet("/api/state", PORT, null);
+  assert(noToken.status === 401 && JSON.parse(noToken.body).error, "API without a token → 401 JSON error");
+  assert((await httpGet("/", PORT, null)).status === 401, "Page without a token → 401");
+  assert((await httpGet("/api/state", PORT, "wrong")).status === 401, "Wrong token → 401");
+  assert((await httpGet(`/api/state?token=${VIEWER_TOKEN}`, PORT, null)).status === 200, "?token= is accepted");
+
+  const visit = await httpGet(`/?token=${TOKEN}`, PORT, null);
+  const cookie = (visit.headers["set-cookie"] || [])[0] || "";
+  assert(visit.status === 302 && visit.headers.location === "/", "Token URL redirects to a clean address");
+  assert(/^swarm_token=test-operator-token;.*HttpOnly/.test(cookie), "Token URL sets an HttpOnly cookie");
+
+  const rejected = await wsConnect(PORT, null).then(ws => { ws.close(); return false; }, () => true);
+  assert(rejected, "WebSocket without a token is refused");
+
+  const viewer = await wsConnect(PORT, VIEWER_TOKEN);
+  const snapshot = await wsRecv(viewer);
+  assert(snapshot.role === "viewer", "Viewer snapshot carries its role");
+  viewer.send(JSON.stringify({ type: "prompt", text: "rm -rf /", cwd: "/" }));
+  const denied = await wsRecvUntil(viewer, d => d.type === "error" || d.type === "session_started", 3000);
+  assert(denied.match.type === "error" && denied.match.request === "prompt", "Viewers cannot start sessions");
+  viewer.send(JSON.stringify({ type: "send_inbox_message", teamName: "x", targetAgent: "y", text: "z" }));
+  const deniedInbox = await wsRecvUntil(viewer, d => d.type === "error" || d.type === "inbox_message_error", 3000);
+  assert(deniedInbox.match.type === "error", "Viewers cannot write to inboxes");
+  viewer.send(JSON.stringify({ type: "get_agent_context", agentId: "nobody" }));
+  const context = await wsRecvUntil(viewer, d => d.type === "agent_context" || d.type === "error", 3000);
+  assert(context.match.type === "agent_context", "Viewers can still read agent context");
+  viewer.close();
+}
+
 async function testSnapshotOnConnect() {
   log("─", "WebSocket snapshot on connect");
 
@@ -155,6 +276,7 @@ async function testSnapshotOnConnect() {
   const snapshot = await wsRecv(ws);
 
   assert(snapshot.type === "snapshot", "First message is snapshot");
+  assert(snapshot.role === "operator", "Operator token gets the operator role");
   assert(typeof snapshot.agents === "object", "Snapshot has agents");
   assert(typeof snapshot.serverCwd === "string", "Snapshot has serverCwd");
   assert(snapshot.teams !== undefined, "Snapshot has teams field");
@@ -279,6 +401,1434 @@ async function testDemoTeamsEnrichment() {
   ws.close();
 }
 
+async function testRestApi() {
+  log("─", "REST API");
+
+  const agents = await httpGet("/api/agents?limit=2");
+  const agentPage = JSON.parse(agents.body);
+  assert(agents.status === 200 && Array.isArray(agentPage.items), "GET /api/agents returns a page of agents");
+  assert(agentPage.items.length <= 2 && agentPage.limit === 2, "Pagination limit is honoured");
+  assert(agentPage.items.every(a => !Object.keys(a).some(k => k.startsWith("_"))), "Agents omit internal fields");
+
+  const lead = await httpGet("/api/agents/lead-001");
+  assert(lead.status === 200 && JSON.parse(lead.body).id === "lead-001", "GET /api/agents/:id returns the agent");
+
+  const missing = await httpGet("/api/agents/nobody");
+  assert(missing.status === 404 && typeof JSON.parse(missing.body).error === "string", "Unknown agent is a JSON 404");
+
+  const leadEvents = JSON.parse((await httpGet("/api/agents/lead-001/events")).body);
+  assert(leadEvents.items.length > 0 && leadEvents.items.every(e => e.agentId === "lead-001"), "GET /api/agents/:id/events filters by agent");
+
+  const events = JSON.parse((await httpGet("/api/events?tool=Task&limit=5")).body);
+  assert(events.items.every(e => e.tool === "Task"), "GET /api/events filters by tool");
+  const future = JSON.parse((await httpGet(`/api/events?since=${Date.now() + 60000}`)).body);
+  assert(future.total === 0, "GET /api/events honours since");
+
+  const messages = await httpGet("/api/messages");
+  assert(messages.status === 200 && Array.isArray(JSON.parse(messages.body).items), "GET /api/messages returns a page");
+
+  const team = JSON.parse((await httpGet("/api/teams/demo-auth-refactor")).body);
+  assert(team.name === "demo-auth-refactor" && team.members.length === 7, "GET /api/teams/:team returns the team");
+  const tasks = JSON.parse((await httpGet("/api/teams/demo-auth-refactor/tasks?limit=3&offset=1")).body);
+  assert(tasks.total === 10 && tasks.items.length === 3 && tasks.items[0].id === "2", "GET /api/teams/:team/tasks paginates");
+
+  const badLimit = await httpGet("/api/events?limit=0");
+  assert(badLimit.status === 400, "Invalid pagination is a 400");
+  const noRoute = await httpGet("/api/nope");
+  assert(noRoute.status === 404 && JSON.parse(noRoute.body).error, "Unknown API route is a JSON 404");
+}
+
+async function testFileActivity() {
+  log("─", "File activity");
+
+  const file = "/heat/src/auth.ts";
+  const post = (session, tool, hook = "PreToolUse") => httpPost("/api/events", JSON.stringify({
+    session_id: session, hook_event_name: hook, tool_name: tool, tool_input: { file_path: file }, cwd: "/heat",
+  }));
+
+  const ws = await wsConnect();
+  await wsRecv(ws);
+  try {
+    const broadcast = wsRecvUntil(ws, d => d.type === "event" && d.event.file === file, 5000).catch(() => null);
+    await post("heat-a", "Read");
+    assert((await broadcast)?.match.event.fileAccess === "read", "Events say whether they read or wrote a file");
+    await post("heat-a", "Read", "PostToolUse"); // the same call finishing isn't another read
+    await post("heat-b", "Edit");
+    await post("heat-b", "Write");
+    await httpPost("/api/events", JSON.stringify({ session_id: "heat-b", hook_event_name: "PreToolUse", tool_name: "Bash", tool_input: { command: "cat x" } }));
+
+    const list = JSON.parse((await httpGet("/api/files?q=/heat/")).body);
+    const summary = list.items[0];
+    assert(list.total === 1 && summary.path === file && summary.reads === 1 && summary.writes === 2,
+      "Reads and writes are counted per path across agents");
+    assert(summary.heat > 0 && summary.agents.sort().join() === "heat-a,heat-b", "Files carry a heat score and the agents that touched them");
+
+    const detail = JSON.parse((await httpGet(`/api/files/detail?path=${encodeURIComponent(file)}`)).body);
+    const b = detail.agents.find(a => a.agentId === "heat-b");
+    assert(b?.writes === 2 && b.reads === 0 && detail.touches[0].tool === "Write" && detail.touches.length === 3,
+      "File detail lists each agent's touches, newest first");
+    assert((await httpGet("/api/files/detail?path=/nope")).status === 404, "Untouched files 404");
+    assert((await httpGet("/api/files/detail")).status === 400, "path is required");
+
+    const byAgent = JSON.parse((await httpGet("/api/files?agent=heat-a&q=/heat/")).body);
+    assert(byAgent.total === 1, "Files can be filtered by agent");
+
+    const ws2 = await wsConnect();
+    const snapshot = await wsRecv(ws2);
+    ws2.close();
+    assert(snapshot.files?.some(f => f.path === file) && snapshot.fileHeat?.write === 3, "The snapshot includes file activity");
+  } finally {
+    ws.close();
+  }
+}
+
+async function testWriteConflicts() {
+  log("─", "Write conflicts");
+
+  const file = "/clash/src/db.ts";
+  const post = (session, tool, filePath = file) => httpPost("/api/events", JSON.stringify({
+    session_id: session, hook_event_name: "PreToolUse", tool_name: tool, tool_input: { file_path: filePath }, cwd: "/clash",
+  }));
+
+  const ws = await wsConnect();
+  await wsRecv(ws);
+  try {
+    await post("clash-a", "Edit");
+    await post("clash-a", "Write"); // the same agent twice isn't a conflict
+    await post("clash-b", "Read");  // nor is reading someone else's write
+    const none = JSON.parse((await httpGet("/api/conflicts?agent=clash-a")).body);
+    assert(none.total === 0, "Only writes by different agents conflict");
+
+    const broadcast = wsRecvUntil(ws, d => d.type === "conflict" && d.conflict.path === file, 5000).catch(() => null);
+    await post("clash-b", "Edit");
+    const conflict = (await broadcast)?.match.conflict;
+    assert(conflict?.agents.join() === "clash-a,clash-b" && conflict.tools.join() === "Write,Edit" && conflict.writes === 2,
+      "A second agent writing the file within the window broadcasts a conflict");
+
+    const update = wsRecvUntil(ws, d => d.type === "conflict" && d.conflict.id === conflict?.id, 5000).catch(() => null);
+    await post("clash-a", "MultiEdit");
+    assert((await update)?.match.conflict.writes === 3, "Further writes by the same pair update the conflict");
+
+    await post("clash-c", "Write", "/clash/src/other.ts");
+    const list = JSON.parse((await httpGet("/api/conflicts?agent=clash-b")).body);
+    assert(list.total === 1 && list.items[0].id === conflict?.id, "Conflicts are listed over REST");
+
+    const ws2 = await wsConnect();
+    const snapshot = await wsRecv(ws2);
+    ws2.close();
+    assert(snapshot.conflicts?.some(c => c.id === conflict?.id), "The snapshot includes recent conflicts");
+  } finally {
+    ws.close();
+  }
+}
+
+async function testEditDiffs() {
+  log("─", "Write/Edit diffs");
+
+  const post = (tool, input) => {
+    const event = wsRecvUntil(ws, d => d.type === "event" && d.event.agentId === "diff-agent" && d.event.tool === tool, 5000)
+      .then(r => r.match.event).catch(() => null);
+    return httpPost("/api/events", JSON.stringify({
+      session_id: "diff-agent", hook_event_name: "PreToolUse", tool_name: tool, tool_input: input, cwd: "/diffs",
+    })).then(() => event);
+  };
+  const getDiff = async (event) => JSON.parse((await httpGet(`/api/events/${event?.id}/diff`)).body);
+
+  const ws = await wsConnect();
+  await wsRecv(ws);
+  try {
+    const edit = await post("Edit", { file_path: "/diffs/a.js", old_string: "a\nb\nc\n", new_string: "a\nB\nc\nd\n" });
+    assert(edit?.diffStat?.added === 2 && edit.diffStat.removed === 1, "Edit events carry added/removed line counts");
+    const diff = await getDiff(edit);
+    assert(diff.diff === "--- /diffs/a.js\n+++ /diffs/a.js\n@@ -1,3 +1,4 @@\n a\n-b\n+B\n c\n+d",
+      `The event's unified diff is served separately (${JSON.stringify(diff.diff)})`);
+    assert(diff.agentId === "diff-agent" && diff.tool === "Edit" && diff.truncated === false, "Diffs say who changed what");
+
+    const write = await post("Write", { file_path: "/diffs/new.js", content: "x\ny\n" });
+    assert((await getDiff(write)).diff.endsWith("@@ -0,0 +1,2 @@\n+x\n+y"), "Written content shows as added lines");
+
+    const long = Array.from({ length: 30 }, (_, i) => `line ${i}`);
+    const changed = long.map((l, i) => i === 2 || i === 25 ? l + " changed" : l);
+    const multi = await post("MultiEdit", { file_path: "/diffs/m.js", edits: [
+      { old_string: long.join("\n"), new_string: changed.join("\n") },
+      { old_string: "foo", new_string: "bar" },
+    ] });
+    const hunks = (await getDiff(multi)).diff.split("\n").filter(l => l.startsWith("@@"));
+    assert(hunks.join("|") === "@@ -1,6 +1,6 @@|@@ -23,7 +23,7 @@|@@ -1,1 +1,1 @@",
+      `Distant changes get their own hunks with three lines of context (${hunks.join("|")})`);
+
+    const read = await post("Read", { file_path: "/diffs/a.js" });
+    assert(read && read.diffStat === null, "Reads have no diff");
+    assert((await httpGet(`/api/events/${read?.id}/diff`)).status === 404, "Events without a diff 404");
+  } finally {
+    ws.close();
+  }
+}
+
+async function testReplayOnRestart() {
+  log("─", "State replay from events.jsonl on startup");
+
+  const home = makeTempHome();
+  const now = Date.now();
+  const events = [
+    // Outside the lookback window — must be ignored
+    { event: "pre_tool", session_id: "stale-agent", tool_name: "Read", tool_input: { file_path: "old.js" }, ts: now - 3 * 3600000 },
+    { event: "session_start", session_id: "lead-aaa", source: "startup", cwd: "/proj", ts: now - 60000 },
+    { event: "pre_tool", session_id: "lead-aaa", tool_name: "Read", tool_input: { file_path: "/proj/a.js" }, ts: now - 50000 },
+    { event: "pre_tool", session_id: "lead-aaa", tool_name: "SendMessage", tool_input: { to: "worker-bbb", message: "hi" }, ts: now - 40000 },
+    { event: "pre_tool", session_id: "worker-bbb", tool_name: "Write", tool_input: { file_path: "/proj/b.js", content: "x".repeat(400) }, ts: now - 30000 },
+    // Malformed — must be skipped without stopping startup
+    { event: "pre_tool", session_id: "worker-bbb", tool_name: "Read", tool_input: { file_path: 5 }, ts: now - 20000 },
+  ];
+  fs.writeFileSync(path.join(home, ".claude", "swarm-viz", "events.jsonl"),
+    events.map(e => JSON.stringify(e)).join("\n") + "\n");
+
+  const port = PORT + 1;
+  let proc;
+  try {
+    proc = await launchServer(["--lookback", "1h"], { port, env: { HOME: home, USERPROFILE: home } });
+    const state = JSON.parse((await httpGet("/api/state", port)).body);
+
+    assert(state.agents["lead-aaa"] && state.agents["worker-bbb"], "Replayed agents are restored past a malformed line");
+    assert(!state.agents["stale-agent"], "Events outside the lookback window are skipped");
+    assert(state.agents["lead-aaa"]?.toolCalls === 3, `Agent counters are restored (${state.agents["lead-aaa"]?.toolCalls})`);
+    assert(state.agents["worker-bbb"]?.tokens === 100, `Token counters are restored (${state.agents["worker-bbb"]?.tokens})`);
+    assert(state.recentMessages.some(m => m.from === "lead-aaa" && m.to === "worker-bbb"), "Message edges are restored");
+    assert(state.recentEvents.every(e => e.timestamp < now), "Replayed events keep their original timestamps");
+    assert(state.stats?.events === 4, `Running totals include replayed events (${state.stats?.events})`);
+  } finally {
+    if (proc) proc.kill("SIGTERM");
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+async function testPlaybackMode() {
+  log("─", "Playback mode (--replay) with server-side clock");
+
+  const home = makeTempHome();
+  const file = path.join(home, "recorded.jsonl");
+  const t0 = Date.now() - 86400000;
+  fs.writeFileSync(file, [
+    { event: "session_start", session_id: "rec-lead", source: "startup", ts: t0 },
+    { event: "pre_tool", session_id: "rec-lead", tool_name: "Read", tool_input: { file_path: "a.js" }, ts: t0 + 100 },
+    { event: "post_tool", session_id: "rec-lead", tool_name: "Read", ts: t0 + 150 },
+    { event: "pre_tool", session_id: "rec-lead", tool_name: "Read", tool_input: { file_path: 5 }, ts: t0 + 200 },
+    { event: "pre_tool", session_id: "rec-lead", tool_name: "Grep", ts: t0 + 1000 },
+    { event: "post_tool", session_id: "rec-lead", tool_name: "Grep", ts: t0 + 3000 },
+    { event: "pre_tool", session_id: "rec-worker", tool_name: "Write", tool_input: { file_path: "b.js" }, ts: t0 + 60000 },
+  ].map(e => JSON.stringify(e)).join("\n") + "\n");
+  fs.writeFileSync(path.join(home, ".claude", "swarm-viz", "config.json"), JSON.stringify({ blockedToolMs: 5000 }));
+
+  const port = PORT + 2;
+  let proc, ws;
+  try {
+    proc = await launchServer(["--replay", file], { port, env: { HOME: home, USERPROFILE: home } });
+    ws = await wsConnect(port);
+    const snapshot = await wsRecv(ws);
+
+    assert(snapshot.playback?.total === 7, `Snapshot carries playback state (${snapshot.playback?.total} events)`);
+    assert(snapshot.playback?.start === t0, "Playback clock starts at the first recorded ts");
+    assert(!snapshot.agents["rec-worker"], "Events are fed with their original spacing, not all at once");
+
+    // Several frames can arrive in one packet, so wait for the specific state
+    // rather than "the next playback_state"
+    ws.send(JSON.stringify({ type: "playback_control", action: "pause" }));
+    const paused = await wsRecvUntil(ws, d => d.type === "playback_state" && !d.playing, 3000).catch(() => null);
+    assert(paused, "Pause stops the server-side clock");
+
+    // Mid-call, so the Grep is open when the next seek starts over
+    ws.send(JSON.stringify({ type: "playback_control", action: "seek", position: t0 + 2000 }));
+    await wsRecvUntil(ws, d => d.type === "snapshot", 3000);
+    ws.send(JSON.stringify({ type: "playback_control", action: "seek", position: t0 + 60000 }));
+    const seeked = await wsRecvUntil(ws, d => d.type === "snapshot", 3000);
+    assert(seeked.match.reset === true, "Seek broadcasts a reset snapshot");
+    assert(!!seeked.match.agents["rec-worker"], "Seeking forward feeds the skipped events");
+    await new Promise(r => setTimeout(r, 1200)); // a blocked sweep
+    const lead = JSON.parse((await httpGet("/api/agents/rec-lead", port)).body);
+    assert(lead.status !== "blocked", `Seeking starts with no open tool calls (${lead.blocked?.reason})`);
+
+    ws.send(JSON.stringify({ type: "playback_control", action: "speed", speed: 16 }));
+    const sped = await wsRecvUntil(ws, d => d.type === "playback_state" && d.speed === 16, 3000).catch(() => null);
+    assert(sped, "Speed control changes the playback rate");
+    assert(proc.exitCode === null, "A malformed recorded event doesn't stop playback");
+  } finally {
+    if (ws) ws.close();
+    if (proc) proc.kill("SIGTERM");
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+async function testUsageAccounting() {
+  log("─", "Token and cost accounting from transcripts");
+
+  const home = makeTempHome();
+  const projectDir = path.join(home, ".claude", "projects", "-proj");
+  fs.mkdirSync(projectDir, { recursive: true });
+  const transcript = path.join(projectDir, "sess-usage.jsonl");
+  fs.writeFileSync(transcript, "");
+  // Older than the lookback window, so a restart mustn't count it
+  fs.writeFileSync(path.join(projectDir, "sess-stale.jsonl"), JSON.stringify({
+    type: "assistant", timestamp: new Date(Date.now() - 48 * 3600000).toISOString(),
+    message: { id: "msg_stale", model: "claude-test-model", usage: { input_tokens: 5000, output_tokens: 0 } },
+  }) + "\n");
+  fs.writeFileSync(path.join(home, ".claude", "swarm-viz", "config.json"), JSON.stringify({
+    prices: { "test-model": { input: 1, output: 10, cacheRead: 0.1, cacheWrite: 2 } },
+  }));
+
+  const port = PORT + 3;
+  let proc;
+  try {
+    proc = await launchServer([], { port, env: { HOME: home, USERPROFILE: home } });
+    const usage = { input_tokens: 1000, output_tokens: 100, cache_read_input_tokens: 10000, cache_creation_input_tokens: 500 };
+    const entry = (id, content) => JSON.stringify({
+      type: "assistant", sessionId: "sess-usage",
+      message: { id, model: "claude-test-model", usage, content },
+    });
+    // Two content blocks of one message repeat its usage — must be counted once
+    fs.appendFileSync(transcript, [
+      entry("msg_1", [{ type: "text", text: "hi" }]),
+      entry("msg_1", [{ type: "tool_use", name: "Read", input: { file_path: "a.js" } }]),
+      entry("msg_2", [{ type: "text", text: "done" }]),
+    ].join("\n") + "\n");
+    await new Promise(r => setTimeout(r, 800));
+
+    const agent = JSON.parse((await httpGet("/api/agents/sess-usage", port)).body);
+    assert(agent.usage?.input === 2000 && agent.usage?.cacheRead === 20000, `Usage is attributed per agent, once per message (${agent.usage?.input})`);
+    // 2 × (1000×1 + 100×10 + 10000×0.1 + 500×2) / 1e6
+    assert(Math.abs((agent.cost || 0) - 0.008) < 1e-9, `Cost uses the configured price table ($${agent.cost})`);
+    const totals = JSON.parse((await httpGet("/api/usage", port)).body);
+    assert(totals.byModel["claude-test-model"]?.tokens === 23200, "Usage is aggregated per model");
+    assert(totals.total.cost === agent.cost, "Running total matches the agent cost");
+
+    // A restart rebuilds usage from the transcripts in the lookback window
+    proc.kill("SIGTERM");
+    await new Promise(r => proc.once("exit", r));
+    proc = await launchServer([], { port, env: { HOME: home, USERPROFILE: home } });
+    const restored = JSON.parse((await httpGet("/api/agents/sess-usage", port)).body);
+    assert(restored.usage?.input === 2000 && restored.cost === agent.cost, `Per-agent usage survives a restart (${restored.usage?.input})`);
+    const restoredTotals = JSON.parse((await httpGet("/api/usage", port)).body);
+    assert(restoredTotals.byModel["claude-test-model"]?.tokens === 23200 && restoredTotals.total.cost === totals.total.cost,
+      "Per-model and total usage survive a restart, without messages older than the lookback");
+  } finally {
+    if (proc) proc.kill("SIGTERM");
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+async function testBudgetGuardrails() {
+  log("─", "Budget guardrails stop runaway sessions");
+
+  const home = makeTempHome();
+  const teamDir = path.join(home, ".claude", "teams", "budget-team");
+  fs.mkdirSync(teamDir, { recursive: true });
+  fs.writeFileSync(path.join(teamDir, "config.json"), JSON.stringify({
+    members: [{ name: "worker", agentId: "sess-budget" }],
+  }));
+  // Wall-clock budgets: one team started 2h ago, one 10 minutes ago whose
+  // member has 2h-old history to replay
+  const now = Date.now();
+  for (const [name, member, createdAt] of [["old-team", "sess-elder", now - 7200000], ["fresh-team", "sess-newbie", now - 600000]]) {
+    fs.mkdirSync(path.join(home, ".claude", "teams", name), { recursive: true });
+    fs.writeFileSync(path.join(home, ".claude", "teams", name, "config.json"), JSON.stringify({
+      createdAt, members: [{ name: "member", agentId: member }],
+    }));
+  }
+  fs.writeFileSync(path.join(home, ".claude", "swarm-viz", "events.jsonl"),
+    JSON.stringify({ event: "pre_tool", session_id: "sess-newbie", tool_name: "Read", ts: now - 7000000 }) + "\n");
+  const stopMessages = (team) => {
+    const file = path.join(home, ".claude", "teams", team, "inboxes", "member.json");
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")).filter(m => m.from === "observer").length : 0;
+  };
+  fs.writeFileSync(path.join(home, ".claude", "swarm-viz", "config.json"), JSON.stringify({
+    budgets: { team: { tokens: 1200000 }, teams: { "old-team": { wallClock: "1h" }, "fresh-team": { wallClock: "1h" } } },
+  }));
+  // A stand-in `claude` that reports 850k input tokens, then 400k more 1.2s later
+  // (past one budget sweep, so the warning comes first)
+  const binDir = path.join(home, "bin");
+  fs.mkdirSync(binDir);
+  fs.writeFileSync(path.join(binDir, "claude"), `#!/usr/bin/env node
+const out = o => process.stdout.write(JSON.stringify(o) + "\\n");
+const spend = (id, tokens) => out({ type: "assistant", session_id: "sess-budget",
+  message: { id, model: "claude-sonnet", usage: { input_tokens: tokens, output_tokens: 0 } } });
+out({ type: "system", subtype: "init", session_id: "sess-budget" });
+spend("msg_" + process.pid + "_1", 850000);
+setTimeout(() => spend("msg_" + process.pid + "_2", 400000), 1200);
+setTimeout(() => {}, 15000);
+`, { mode: 0o755 });
+
+  const port = PORT + 4;
+  let proc, ws;
+  try {
+    proc = await launchServer([], {
+      port,
+      env: { HOME: home, USERPROFILE: home, PATH: `${binDir}${path.delimiter}${process.env.PATH}` },
+    });
+    ws = await wsConnect(port);
+    await wsRecv(ws); // snapshot
+
+    ws.send(JSON.stringify({ type: "prompt", text: "spend", cwd: home, budget: { tokens: 1000000 } }));
+    const started = await wsRecvUntil(ws, d => d.type === "session_started", 3000);
+    const tag = started.match.sessionTag;
+    assert(started.match.budget?.tokens === 1000000, "Per-prompt budget is attached to the session");
+
+    const warning = await wsRecvUntil(ws, d => d.type === "budget_warning", 8000).catch(() => null);
+    assert(warning?.match.sessionTag === tag && warning.match.limit === "tokens", "Warns when a session nears its budget");
+    const exceeded = await wsRecvUntil(ws, d => d.type === "budget_exceeded", 5000).catch(() => null);
+    assert(exceeded?.match.spent >= 1000000, "Reports the breach once the limit is crossed");
+    const ended = await wsRecvUntil(ws, d => d.type === "session_ended" && d.sessionTag === tag, 5000).catch(() => null);
+    assert(ended, "Session is stopped after exceeding its budget");
+
+    const inbox = JSON.parse(fs.readFileSync(path.join(teamDir, "inboxes", "worker.json"), "utf8"));
+    assert(inbox.some(m => m.from === "observer" && /Budget exceeded/.test(m.text)), "Team member gets a stop instruction in its inbox");
+
+    // The team is still over its budget, so a new session of its member is stopped too
+    ws.send(JSON.stringify({ type: "prompt", text: "spend more", cwd: home }));
+    const again = (await wsRecvUntil(ws, d => d.type === "session_started", 3000)).match.sessionTag;
+    const stopped = await wsRecvUntil(ws, d => d.type === "session_ended" && d.sessionTag === again, 5000).catch(() => null);
+    assert(stopped, "Team budgets keep stopping sessions after the first breach");
+
+    assert(stopMessages("old-team") === 1 && stopMessages("fresh-team") === 0,
+      "A team's wall clock runs from when it was created, not from its replayed history");
+    ws.close();
+    ws = null;
+    proc.kill("SIGTERM");
+    await new Promise(r => proc.once("exit", r));
+    proc = await launchServer([], { port, env: { HOME: home, USERPROFILE: home } });
+    await new Promise(r => setTimeout(r, 1500)); // a budget sweep or two
+    assert(stopMessages("old-team") === 1, "A breach isn't reported to the team again after a restart");
+  } finally {
+    if (ws) ws.close();
+    if (proc) proc.kill("SIGTERM");
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+async function testWorkspaces() {
+  log("─", "Multiple workspaces");
+
+  // Workspace "a" is the temp home itself, "b" a second .claude dir (e.g. a container's)
+  const home = makeTempHome();
+  const otherClaude = path.join(home, "container", ".claude");
+  for (const claudeDir of [path.join(home, ".claude"), otherClaude]) {
+    fs.mkdirSync(path.join(claudeDir, "teams", "alpha"), { recursive: true });
+    fs.mkdirSync(path.join(claudeDir, "swarm-viz"), { recursive: true });
+    fs.writeFileSync(path.join(claudeDir, "teams", "alpha", "config.json"), JSON.stringify({
+      members: [{ name: "worker", agentId: "worker@alpha" }],
+    }));
+  }
+  const now = Date.now();
+  fs.writeFileSync(path.join(home, ".claude", "swarm-viz", "events.jsonl"),
+    JSON.stringify({ ts: now - 2000, session_id: "sess-a", hook_event_name: "PreToolUse", tool_name: "Read" }) + "\n");
+  fs.writeFileSync(path.join(otherClaude, "swarm-viz", "events.jsonl"),
+    JSON.stringify({ ts: now - 1000, session_id: "sess-b", hook_event_name: "PreToolUse", tool_name: "Edit" }) + "\n");
+  fs.writeFileSync(path.join(home, ".claude", "swarm-viz", "config.json"), JSON.stringify({
+    workspaces: [{ id: "a", home: "~" }, { id: "b", claudeDir: otherClaude, label: "Container" }],
+  }));
+
+  const port = PORT + 5;
+  let proc, ws;
+  try {
+    proc = await launchServer([], { port, env: { HOME: home, USERPROFILE: home } });
+
+    const workspaces = JSON.parse((await httpGet("/api/workspaces", port)).body);
+    assert(workspaces.map(w => w.id).join() === "a,b" && workspaces[1].label === "Container", "Workspaces come from the config file");
+
+    const teams = JSON.parse((await httpGet("/api/teams", port)).body).items;
+    assert(teams.some(t => t.name === "alpha@a" && t.workspace === "a") &&
+           teams.some(t => t.name === "alpha@b" && t.workspace === "b"), "Same-named teams stay apart per workspace");
+    const member = JSON.parse((await httpGet("/api/agents/worker%40alpha%40b", port)).body);
+    assert(member.workspace === "b" && member.teamName === "alpha@b", "Team members are tagged with their workspace");
+
+    const replayed = JSON.parse((await httpGet("/api/agents?workspace=a", port)).body).items.map(a => a.id);
+    assert(replayed.includes("sess-a") && !replayed.includes("sess-b"), "Replayed agents are filtered by workspace");
+
+    ws = await wsConnect(port);
+    const snapshot = await wsRecv(ws);
+    assert(snapshot.workspaces?.length === 2, "Snapshot lists the workspaces");
+    fs.appendFileSync(path.join(otherClaude, "swarm-viz", "events.jsonl"),
+      JSON.stringify({ session_id: "sess-b2", hook_event_name: "PreToolUse", tool_name: "Bash" }) + "\n");
+    const live = await wsRecvUntil(ws, d => d.type === "event" && d.event.agentId === "sess-b2", 5000).catch(() => null);
+    assert(live?.match.event.workspace === "b" && live.match.agentUpdate.workspace === "b", "Live events carry their workspace");
+    const events = JSON.parse((await httpGet("/api/events?workspace=b", port)).body).items;
+    assert(events.length === 2 && events.every(e => e.workspace === "b"), "Events can be filtered by workspace");
+  } finally {
+    if (ws) ws.close();
+    if (proc) proc.kill("SIGTERM");
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+async function testRemoteIngest() {
+  log("─", "Remote event ingestion");
+
+  const home = makeTempHome();
+  const port = PORT + 6;
+  fs.mkdirSync(path.join(home, ".claude", "teams", "ops"), { recursive: true });
+  fs.writeFileSync(path.join(home, ".claude", "teams", "ops", "config.json"), JSON.stringify({
+    members: [{ name: "runner", agentId: "runner@ops" }],
+  }));
+  fs.writeFileSync(path.join(home, ".claude", "swarm-viz", "config.json"), JSON.stringify({ maxRemoteWorkspaces: 3 }));
+  const logEvent = path.join(__dirname, "..", "scripts", "log-event.js");
+  // Run the hook script as a remote machine would, against `url`
+  const runHook = (url, input, token = INGEST_TOKEN) => new Promise((resolve) => {
+    const child = execFile(process.execPath, [logEvent, "pre_tool"], {
+      env: { ...process.env, HOME: home, USERPROFILE: home, SWARM_OBSERVER_URL: url,
+             SWARM_OBSERVER_TOKEN: token, SWARM_WORKSPACE: "laptop" },
+      timeout: 5000,
+    }, () => resolve());
+    child.stdin.end(JSON.stringify(input));
+  });
+  const spoolFile = path.join(home, ".claude", "swarm-viz", "remote-spool.jsonl");
+
+  let proc, ws;
+  try {
+    proc = await launchServer([], { port, env: { HOME: home, USERPROFILE: home, SWARM_INGEST_TOKEN: INGEST_TOKEN } });
+    ws = await wsConnect(port);
+    await wsRecv(ws);
+
+    const announcement = wsRecvUntil(ws, d => d.type === "workspaces", 3000).catch(() => null);
+    const single = await httpPost("/api/events",
+      JSON.stringify({ session_id: "remote-1", hook_event_name: "PreToolUse", tool_name: "Read" }),
+      port, INGEST_TOKEN, { "X-Swarm-Workspace": "build-box" });
+    assert(single.status === 202 && JSON.parse(single.body).accepted === 1, "POST /api/events accepts a single event");
+    const announced = await announcement;
+    assert(announced?.match.workspaces.some(w => w.id === "build-box" && w.remote), "New remote workspaces are broadcast");
+    const agent = JSON.parse((await httpGet("/api/agents/remote-1", port)).body);
+    assert(agent.workspace === "build-box", "Ingested agents are tagged with the posting workspace");
+
+    const ndjson = [
+      JSON.stringify({ session_id: "remote-2", hook_event_name: "PreToolUse", tool_name: "Bash", workspace: "ci" }),
+      "{not json",
+      JSON.stringify({ session_id: "remote-2", hook_event_name: "PostToolUse", tool_name: "Bash", workspace: "ci" }),
+    ].join("\n");
+    const batch = await httpPost("/api/events", ndjson, port, INGEST_TOKEN, { "Content-Type": "application/x-ndjson" });
+    const counts = JSON.parse(batch.body);
+    assert(batch.status === 202 && counts.accepted === 2 && counts.rejected === 1 && counts.errors[0].index === 1,
+      "NDJSON batches report accepted and rejected lines");
+
+    const noToken = await httpPost("/api/events", "{}", port, null);
+    const viewer = await httpPost("/api/events", "{}", port, VIEWER_TOKEN);
+    const ingestRead = await httpGet("/api/agents", port, INGEST_TOKEN);
+    assert(noToken.status === 401 && viewer.status === 403 && ingestRead.status === 403,
+      "Ingestion needs an operator or ingest token, and ingest tokens can do nothing else");
+    const allow = (await new Promise((resolve, reject) => {
+      http.request({ host: "127.0.0.1", port, path: "/api/events", method: "DELETE",
+        headers: { Authorization: `Bearer ${TOKEN}` } }, resolve).on("error", reject).end();
+    })).headers.allow;
+    assert(allow === "GET, POST", "405 responses list the allowed methods");
+
+    const persisted = fs.readFileSync(path.join(home, ".claude", "swarm-viz", "remote-events.jsonl"), "utf8");
+    assert(persisted.trim().split("\n").length === 3, "Ingested events are persisted for replay");
+
+    // Observer unreachable → spooled; reachable again → the spool is flushed first
+    await runHook(`http://127.0.0.1:${PORT + 9}`, { session_id: "remote-3", hook_event_name: "PreToolUse", tool_name: "Grep" });
+    assert(fs.existsSync(spoolFile) && fs.readFileSync(spoolFile, "utf8").includes("remote-3"), "log-event.js spools while the observer is down");
+    await runHook(`http://127.0.0.1:${port}`, { session_id: "remote-4", hook_event_name: "PreToolUse", tool_name: "Glob" });
+    const laptop = JSON.parse((await httpGet("/api/agents?workspace=laptop", port)).body).items.map(a => a.id);
+    assert(laptop.includes("remote-3") && laptop.includes("remote-4") && !fs.existsSync(spoolFile),
+      "log-event.js posts to the observer and flushes its spool");
+    await runHook(`http://127.0.0.1:${port}`, { session_id: "remote-5", hook_event_name: "PreToolUse", tool_name: "Read" }, "wrong-token");
+    assert(!fs.existsSync(spoolFile), "log-event.js drops batches the observer rejects instead of spooling them");
+    const filler = JSON.stringify({ session_id: "old", pad: "x".repeat(1000) });
+    fs.writeFileSync(spoolFile, `${filler}\n`.repeat(6000));
+    await runHook(`http://127.0.0.1:${PORT + 9}`, { session_id: "remote-newest", hook_event_name: "PreToolUse", tool_name: "Read" });
+    const spooled = fs.readFileSync(spoolFile, "utf8");
+    assert(spooled.length <= 5 * 1024 * 1024 && spooled.trimEnd().endsWith("}") && spooled.includes("remote-newest"),
+      "The spool is capped, dropping the oldest lines first");
+    fs.rmSync(spoolFile);
+
+    const named = await httpPost("/api/events", [
+      JSON.stringify({ session_id: "remote-6", hook_event_name: "PreToolUse", workspace: "../../etc" }),
+      JSON.stringify({ session_id: "remote-6", hook_event_name: "PreToolUse", workspace: "one-too-many" }),
+    ].join("\n"), port, INGEST_TOKEN, { "Content-Type": "application/x-ndjson" });
+    const namedCounts = JSON.parse(named.body);
+    assert(namedCounts.accepted === 0 && namedCounts.errors[0].error === "Invalid workspace name"
+      && /Too many remote workspaces/.test(namedCounts.errors[1].error), "Remote workspace names are validated and capped");
+    const badHeader = await httpPost("/api/events", "{}", port, INGEST_TOKEN, { "X-Swarm-Workspace": "a b" });
+    assert(badHeader.status === 400, "An invalid X-Swarm-Workspace header is refused");
+    const impostor = await httpPost("/api/events", JSON.stringify({ session_id: "remote-7", workspace: "local" }), port, INGEST_TOKEN);
+    const localHeader = await httpPost("/api/events", "{}", port, INGEST_TOKEN, { "X-Swarm-Workspace": "local" });
+    assert(JSON.parse(impostor.body).errors[0]?.error === '"local" is a local workspace' && localHeader.status === 400,
+      "Remote hooks can't post as a local workspace");
+    const teams = JSON.parse((await httpGet("/api/teams", port)).body).items;
+    assert(teams.some(t => t.name === "ops") && JSON.parse((await httpGet("/api/agents/runner%40ops", port)).body).teamName === "ops",
+      "Remote workspaces don't rename the local teams");
+
+    // A mistyped event is refused, leaves the observer up and is never replayed
+    const malformed = await httpPost("/api/events", JSON.stringify({ session_id: "bad-1", event: "pre_tool", tool_name: "Read",
+      tool_input: { file_path: 5 } }), port, INGEST_TOKEN);
+    assert(JSON.parse(malformed.body).errors[0]?.error === "Invalid tool_input.file_path", "Events with mistyped fields are refused");
+    assert((await httpGet("/api/agents", port)).status === 200, "The observer stays up after a malformed event");
+    ws.close();
+    ws = null;
+    proc.kill("SIGTERM");
+    await new Promise(r => proc.once("exit", r));
+    proc = await launchServer([], { port, env: { HOME: home, USERPROFILE: home, SWARM_INGEST_TOKEN: INGEST_TOKEN } });
+    assert((await httpGet("/api/agents/remote-4", port)).status === 200 && (await httpGet("/api/agents/bad-1", port)).status === 404,
+      "The observer restarts and replays only the events it accepted");
+  } finally {
+    if (ws) ws.close();
+    if (proc) proc.kill("SIGTERM");
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+async function testToolCallPairing() {
+  log("─", "Tool call pairing");
+
+  const now = Date.now();
+  const ndjson = [
+    { ts: now - 1500, session_id: "pair-1", hook_event_name: "PreToolUse", tool_name: "Bash", tool_use_id: "toolu_a" },
+    { ts: now - 1400, session_id: "pair-1", hook_event_name: "PreToolUse", tool_name: "Read", tool_use_id: "toolu_b" },
+    { ts: now - 1000, session_id: "pair-1", hook_event_name: "PostToolUse", tool_name: "Read", tool_use_id: "toolu_b",
+      tool_response: { file: { content: "ok" } } },
+    { ts: now, session_id: "pair-1", hook_event_name: "PostToolUse", tool_name: "Bash", tool_use_id: "toolu_a",
+      tool_response: { stdout: "", stderr: "npm ERR! Test failed", exit_code: 1 } },
+    { ts: now - 45000, session_id: "pair-2", hook_event_name: "PreToolUse", tool_name: "Grep" },
+    { ts: now, session_id: "pair-2", hook_event_name: "PostToolUse", tool_name: "Grep", tool_response: { filenames: [] } },
+    { ts: now - 200, session_id: "pair-2", hook_event_name: "PreToolUse", tool_name: "Edit", tool_use_id: "toolu_c" },
+    { ts: now, session_id: "pair-2", hook_event_name: "PostToolUseFailure", tool_name: "Edit", tool_use_id: "toolu_c",
+      error: "String to replace not found in file." },
+  ].map(e => JSON.stringify(e)).join("\n");
+  await httpPost("/api/events", ndjson, PORT, TOKEN, { "Content-Type": "application/x-ndjson" });
+
+  const posts = (agent) => httpGet(`/api/agents/${agent}/events`).then(r => JSON.parse(r.body).items.filter(e => e.durationMs !== null));
+  const [bash, read] = await posts("pair-1");
+  assert(read?.tool === "Read" && read.durationMs === 400 && !read.error, "Out-of-order calls pair by tool_use_id");
+  assert(bash?.durationMs === 1500 && bash.exitCode === 1 && bash.error === "npm ERR! Test failed",
+    "Failed Bash calls carry exit code and error text");
+  const [edit, grep] = await posts("pair-2");
+  assert(grep?.durationMs === 45000 && grep.slow && !grep.error, "Calls without ids pair by tool and are flagged slow");
+  assert(edit?.error === "String to replace not found in file." && !edit.slow, "PostToolUseFailure marks the call failed");
+  const agent = JSON.parse((await httpGet("/api/agents/pair-2")).body);
+  assert(agent.failedCalls === 1 && agent.lastError?.tool === "Edit", "Agents count failed calls");
+}
+
+async function testBlockedStatus() {
+  log("─", "Blocked status");
+
+  const home = makeTempHome();
+  const claudeDir = path.join(home, ".claude");
+  const tasksDir = path.join(claudeDir, "tasks", "crew");
+  fs.mkdirSync(path.join(claudeDir, "teams", "crew"), { recursive: true });
+  fs.mkdirSync(tasksDir, { recursive: true });
+  fs.writeFileSync(path.join(claudeDir, "teams", "crew", "config.json"), JSON.stringify({
+    members: [{ name: "builder", agentId: "builder@crew" }, { name: "schema", agentId: "schema@crew" }],
+  }));
+  fs.writeFileSync(path.join(tasksDir, "1.json"), JSON.stringify({ id: "1", subject: "Build", status: "pending", owner: "builder", blockedBy: ["2"] }));
+  fs.writeFileSync(path.join(tasksDir, "2.json"), JSON.stringify({ id: "2", subject: "Schema", status: "in_progress", owner: "schema" }));
+  fs.writeFileSync(path.join(claudeDir, "swarm-viz", "config.json"), JSON.stringify({ blockedToolMs: 500 }));
+
+  const port = PORT + 7;
+  let proc, ws;
+  try {
+    proc = await launchServer([], { port, env: { HOME: home, USERPROFILE: home } });
+    ws = await wsConnect(port);
+    const snapshot = await wsRecv(ws);
+    const builder = snapshot.agents["builder@crew"];
+    assert(builder?.status === "blocked" && builder.blocked?.reason === "dependencies" && builder.blocked.detail === "waiting on #2",
+      "Agents whose tasks all wait on unfinished tasks are blocked");
+    assert(snapshot.agents["schema@crew"]?.status !== "blocked", "Agents with workable tasks are not blocked");
+
+    const crewTasks = snapshot.teams.crew?.tasks;
+    assert(Array.isArray(crewTasks) && crewTasks.map(t => t.id).join() === "1,2" && crewTasks[0].blockedBy[0] === "2",
+      "Snapshot teams carry their normalized task list");
+
+    const taskUpdate = wsRecvUntil(ws, d => d.type === "task_update" && d.taskId === "2", 5000).catch(() => null);
+    fs.writeFileSync(path.join(tasksDir, "2.json"), JSON.stringify({ id: "2", subject: "Schema", status: "completed", owner: "schema" }));
+    const update = (await taskUpdate)?.match;
+    assert(update?.task.status === "completed" && update.tasks.length === 2, "task_update carries the task and the team's full list");
+    const unblocked = await wsRecvUntil(ws, d => d.type === "agent_update" && d.agent.id === "builder@crew", 5000).catch(() => null);
+    assert(unblocked?.match.agent.blocked === null && unblocked.match.agent.status === "idle", "Finishing the dependency unblocks the agent");
+
+    const removal = wsRecvUntil(ws, d => d.type === "task_update" && d.taskId === "1", 5000).catch(() => null);
+    fs.unlinkSync(path.join(tasksDir, "1.json"));
+    const removed = (await removal)?.match;
+    assert(removed?.task === null && removed.tasks.map(t => t.id).join() === "2", "Deleting a task file broadcasts its removal");
+
+    const reblocked = wsRecvUntil(ws, d => d.type === "agent_update" && d.agent.id === "builder@crew" && d.agent.status === "blocked", 5000).catch(() => null);
+    fs.writeFileSync(path.join(tasksDir, "5.json"), JSON.stringify({ id: "5", subject: "Ship", status: "pending", owner: "builder", blockedBy: ["6"] }));
+    fs.writeFileSync(path.join(tasksDir, "6.json"), JSON.stringify({ id: "6", subject: "Sign off", status: "pending", owner: "schema" }));
+    assert(await reblocked, "A new dependency blocks an idle agent again");
+    await httpPost("/api/events", JSON.stringify({ session_id: "builder@crew", hook_event_name: "PreToolUse", tool_name: "Read", tool_use_id: "toolu_b" }), port);
+    const working = JSON.parse((await httpGet("/api/agents/builder@crew", port)).body);
+    await httpPost("/api/events", JSON.stringify({ session_id: "builder@crew", hook_event_name: "PostToolUse", tool_name: "Read", tool_use_id: "toolu_b" }), port);
+    const between = JSON.parse((await httpGet("/api/agents/builder@crew", port)).body);
+    assert(working.status === "reading" && working.blocked === null && between.status !== "blocked",
+      "Agents running tools aren't shown as blocked on their task dependencies");
+
+    await httpPost("/api/events", JSON.stringify({ session_id: "stuck-1", hook_event_name: "PreToolUse", tool_name: "Bash", tool_use_id: "toolu_s" }), port);
+    const stuck = await wsRecvUntil(ws, d => d.type === "agent_update" && d.agent.id === "stuck-1", 5000).catch(() => null);
+    assert(stuck?.match.agent.status === "blocked" && stuck.match.agent.blocked.reason === "tool", "A tool call that doesn't return blocks the agent");
+    await httpPost("/api/events", JSON.stringify({ session_id: "stuck-1", hook_event_name: "PostToolUse", tool_name: "Bash", tool_use_id: "toolu_s" }), port);
+    const agent = JSON.parse((await httpGet("/api/agents/stuck-1", port)).body);
+    assert(agent.status !== "blocked" && agent.blocked === null, "The tool returning clears it");
+  } finally {
+    if (ws) ws.close();
+    if (proc) proc.kill("SIGTERM");
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+async function testAgentHealth() {
+  log("─", "Agent health sweep");
+
+  const home = makeTempHome();
+  fs.writeFileSync(path.join(home, ".claude", "swarm-viz", "config.json"), JSON.stringify({
+    health: { idleMinutes: 0.002, stalledMinutes: 0.006, loopRepeats: 3, sweepSeconds: 0.1 },
+  }));
+  const projectDir = path.join(home, ".claude", "projects", "-src");
+  fs.mkdirSync(projectDir, { recursive: true });
+  const port = PORT + 8;
+  const post = (events) => httpPost("/api/events", events.map(e => JSON.stringify(e)).join("\n"), port, TOKEN,
+    { "Content-Type": "application/x-ndjson" });
+  let proc, ws;
+  try {
+    proc = await launchServer([], { port, env: { HOME: home, USERPROFILE: home } });
+    ws = await wsConnect(port);
+    await wsRecv(ws);
+
+    const read = { session_id: "loop-1", hook_event_name: "PreToolUse", tool_name: "Read", tool_input: { file_path: "/src/app.js" } };
+    const looping = wsRecvUntil(ws, d => d.type === "agent_health" && d.agentId === "loop-1" && d.health.state === "looping", 4000).catch(() => null);
+    await post([{ session_id: "loop-1", hook_event_name: "SessionStart" }]);
+    await new Promise(r => setTimeout(r, 200)); // let the sweep see it once first
+    await post([read, read, read]);
+    const loop = await looping;
+    assert(loop?.match.health.detail === "Read → app.js 3× in a row", "Repeating the same call is flagged as looping");
+
+    const stalled = wsRecvUntil(ws, d => d.type === "agent_health" && d.agentId === "stall-1" && d.health.state === "stalled", 5000).catch(() => null);
+    await post([{ session_id: "stall-1", hook_event_name: "PreToolUse", tool_name: "Grep", tool_use_id: "t1" },
+                { session_id: "stall-1", hook_event_name: "PostToolUse", tool_name: "Grep", tool_use_id: "t1" }]);
+    const stall = await stalled;
+    assert(stall?.match.agentUpdate.health.state === "stalled" && stall.match.previous === "idle",
+      "Agents that go quiet mid-work are idle, then stalled");
+
+    const recovered = wsRecvUntil(ws, d => d.type === "agent_health" && d.agentId === "stall-1" && d.health.state === "done", 3000).catch(() => null);
+    await post([{ session_id: "stall-1", hook_event_name: "Stop" }]);
+    assert(await recovered, "Finishing clears the alert state");
+
+    // Two calls, each reported by its hook and again by the transcript
+    const call = (id) => ({ session_id: "dup-1", hook_event_name: "PreToolUse", tool_name: "Read", tool_use_id: id,
+      tool_input: { file_path: "/src/lib.js" } });
+    await post([call("d1"), call("d2")]);
+    fs.writeFileSync(path.join(projectDir, "dup-1.jsonl"), ["d1", "d2"].map(id => JSON.stringify({ type: "assistant",
+      message: { content: [{ type: "tool_use", id, name: "Read", input: { file_path: "/src/lib.js" } }] } })).join("\n") + "\n");
+    await new Promise(r => setTimeout(r, 600));
+    const dup = JSON.parse((await httpGet("/api/agents/dup-1", port)).body);
+    assert(dup.health?.state !== "looping", "A call seen by both its hook and the transcript counts once for loop detection");
+    const [lib] = JSON.parse((await httpGet("/api/files?agent=dup-1", port)).body).items;
+    assert(lib?.reads === 2, `…and once in file activity (${lib?.reads} reads)`);
+  } finally {
+    if (ws) ws.close();
+    if (proc) proc.kill("SIGTERM");
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+async function testTaskEditing() {
+  log("─", "Task editing");
+
+  const home = makeTempHome();
+  const claudeDir = path.join(home, ".claude");
+  const tasksDir = path.join(claudeDir, "tasks", "crew");
+  fs.mkdirSync(path.join(claudeDir, "teams", "crew"), { recursive: true });
+  fs.mkdirSync(tasksDir, { recursive: true });
+  fs.writeFileSync(path.join(claudeDir, "teams", "crew", "config.json"), JSON.stringify({
+    members: [{ name: "builder", agentId: "builder@crew" }, { name: "tester", agentId: "tester@crew" }],
+  }));
+  fs.writeFileSync(path.join(tasksDir, "1.json"), JSON.stringify({ id: "1", subject: "Build", status: "pending", owner: "builder" }));
+
+  const port = PORT + 10;
+  let proc, ws, viewer;
+  try {
+    proc = await launchServer([], { port, env: { HOME: home, USERPROFILE: home } });
+    ws = await wsConnect(port);
+    await wsRecv(ws);
+    const request = (msg) => {
+      const reply = wsRecvUntil(ws, d => (d.type === "task_saved" || d.type === "task_error") && d.request === msg.type, 5000).catch(() => null);
+      ws.send(JSON.stringify({ teamName: "crew", ...msg }));
+      return reply.then(r => r?.match);
+    };
+
+    const broadcast = wsRecvUntil(ws, d => d.type === "task_update" && d.taskId === "2", 5000).catch(() => null);
+    const created = await request({ type: "create_task", subject: "Test the build", owner: "tester@crew", blockedBy: ["1"] });
+    assert(created?.type === "task_saved" && created.task.id === "2" && created.task.owner === "tester",
+      "create_task assigns the next id and normalizes the owner");
+    const onDisk = JSON.parse(fs.readFileSync(path.join(tasksDir, "2.json"), "utf8"));
+    assert(onDisk.subject === "Test the build" && onDisk.blockedBy[0] === "1", "create_task writes the task file");
+    assert(JSON.parse(fs.readFileSync(path.join(tasksDir, "1.json"), "utf8")).blocks?.[0] === "2",
+      "The dependency's blocks list is kept in step");
+    assert((await broadcast)?.match.tasks.length === 2, "Edits are broadcast as task_update");
+    assert(!fs.readdirSync(tasksDir).some(f => f.endsWith(".tmp")), "No temp files are left behind");
+
+    const stranger = await request({ type: "assign_task", taskId: "1", owner: "nobody" });
+    assert(stranger?.type === "task_error" && stranger.error.includes("not a member"), "Owners must be team members");
+
+    const cycle = await request({ type: "update_task", taskId: "1", blockedBy: ["2"] });
+    assert(cycle?.type === "task_error" && cycle.error.includes("dependency cycle"), "Dependency cycles are refused");
+
+    const blockedStatus = await request({ type: "set_task_status", taskId: "1", status: "blocked" });
+    assert(blockedStatus?.type === "task_error", "Blocked is derived on the board, not written to task files");
+    const badStatus = await request({ type: "set_task_status", taskId: "1", status: "done" });
+    assert(badStatus?.type === "task_error", "Unknown statuses are refused");
+
+    const done = await request({ type: "set_task_status", taskId: "1", status: "completed" });
+    const file = JSON.parse(fs.readFileSync(path.join(tasksDir, "1.json"), "utf8"));
+    assert(done?.task.status === "completed" && file.status === "completed" && file.owner === "builder",
+      "set_task_status updates the file and keeps other fields");
+
+    viewer = await wsConnect(port, VIEWER_TOKEN);
+    await wsRecv(viewer);
+    const refusal = wsRecvUntil(viewer, d => d.type === "error" && d.request === "create_task", 3000).catch(() => null);
+    viewer.send(JSON.stringify({ type: "create_task", teamName: "crew", subject: "Sneaky" }));
+    assert(await refusal && !fs.existsSync(path.join(tasksDir, "3.json")), "Viewers can't edit tasks");
+
+    const legacy = wsRecvUntil(ws, d => d.type === "task_update" && d.taskId === "notes", 5000).catch(() => null);
+    fs.writeFileSync(path.join(tasksDir, "notes.json"), JSON.stringify({ subject: "Write notes", status: "pending" }));
+    const listed = (await legacy)?.match.tasks || [];
+    assert(listed.some(t => t.id === "notes" && t.subject === "Write notes") && !listed.some(t => t.id === "undefined"),
+      "Task files without an id are known by their file name");
+  } finally {
+    if (ws) ws.close();
+    if (viewer) viewer.close();
+    if (proc) proc.kill("SIGTERM");
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+async function testTeamLifecycle() {
+  log("─", "Team lifecycle");
+
+  // No ~/.claude/teams yet — the first team creates it
+  const home = makeTempHome();
+  const teamsDir = path.join(home, ".claude", "teams");
+  const workDir = path.join(home, "work");
+  fs.mkdirSync(workDir);
+  // A stand-in `claude` that records how it was started and its first user turn
+  const binDir = path.join(home, "bin");
+  fs.mkdirSync(binDir);
+  fs.writeFileSync(path.join(binDir, "claude"), `#!/usr/bin/env node
+process.stdout.write(JSON.stringify({ type: "system", subtype: "init", session_id: "sess-lead", tools: [] }) + "\\n");
+let input = "", recorded = false;
+process.stdin.on("data", chunk => {
+  input += chunk;
+  if (recorded || !input.includes("\\n")) return;
+  recorded = true;
+  const env = { team: process.env.SWARM_TEAM_NAME, member: process.env.SWARM_TEAM_MEMBER, inbox: process.env.SWARM_TEAM_INBOX };
+  require("fs").writeFileSync(${JSON.stringify(path.join(home, "launched.json"))},
+    JSON.stringify({ args: process.argv.slice(2), cwd: process.cwd(), env, turn: JSON.parse(input.split("\\n")[0]) }));
+});
+process.stdin.on("end", () => process.exit(0));
+`, { mode: 0o755 });
+
+  const port = PORT + 11;
+  let proc, ws;
+  try {
+    proc = await launchServer([], {
+      port,
+      env: { HOME: home, USERPROFILE: home, PATH: `${binDir}${path.delimiter}${process.env.PATH}` },
+    });
+    ws = await wsConnect(port);
+    await wsRecv(ws);
+    const request = (msg) => {
+      const reply = wsRecvUntil(ws, d => (d.type === "team_saved" || d.type === "team_error") && d.request === msg.type, 5000).catch(() => null);
+      ws.send(JSON.stringify(msg));
+      return reply.then(r => r?.match);
+    };
+
+    const badName = await request({ type: "create_team", name: "../escape", members: [{ name: "x" }] });
+    assert(badName?.type === "team_error" && !fs.existsSync(path.join(home, ".claude", "escape")), "Team names can't leave the teams dir");
+
+    const joined = wsRecvUntil(ws, d => d.type === "agent_update" && d.agent.id === "lead@squad", 5000).catch(() => null);
+    const created = await request({ type: "create_team", name: "squad", description: "Ship it", members: [
+      { name: "lead", agentType: "team-lead", color: "#ffd166", prompt: "Plan the release" },
+      { name: "dev", cwd: workDir },
+    ] });
+    const config = JSON.parse(fs.readFileSync(path.join(teamsDir, "squad", "config.json"), "utf8"));
+    assert(created?.type === "team_saved" && config.leadAgentId === "lead@squad" && config.members[1].agentId === "dev@squad"
+      && config.members[1].agentType === "general-purpose", "create_team writes a config.json Claude Code can read");
+    const lead = (await joined)?.match.agent;
+    assert(lead?.teamName === "squad" && lead.role === "lead" && lead.color === "#ffd166", "Members join the graph tagged with their team");
+
+    const duplicate = await request({ type: "create_team", name: "squad", members: [{ name: "x" }] });
+    assert(duplicate?.type === "team_error" && duplicate.error.includes("already exists"), "Existing teams aren't overwritten");
+    const badCwd = await request({ type: "add_team_member", teamName: "squad", member: { name: "qa", cwd: path.join(home, "nope") } });
+    assert(badCwd?.type === "team_error", "Members need a working directory that exists");
+    const sameName = await request({ type: "add_team_member", teamName: "squad", member: { name: "dev" } });
+    assert(sameName?.type === "team_error", "Member names are unique within a team");
+
+    const added = await request({ type: "add_team_member", teamName: "squad", member: { name: "qa", prompt: "Test it" } });
+    assert(added?.config.members.length === 3 &&
+      JSON.parse(fs.readFileSync(path.join(teamsDir, "squad", "config.json"), "utf8")).members.length === 3, "add_team_member extends the config");
+
+    const noPrompt = await request({ type: "launch_team_member", teamName: "squad", memberName: "dev" });
+    assert(noPrompt?.type === "team_error", "Members without a prompt can't be launched");
+
+    const started = wsRecvUntil(ws, d => d.type === "session_started", 5000).catch(() => null);
+    const tagged = wsRecvUntil(ws, d => d.type === "agent_update" && d.agent.id === "sess-lead", 5000).catch(() => null);
+    const launched = await request({ type: "launch_team_member", teamName: "squad", memberName: "lead" });
+    const session = (await started)?.match;
+    assert(launched?.launched?.[0] === "lead" && session?.teamName === "squad" && session.memberName === "lead",
+      "launch_team_member starts a managed session for the member");
+    const member = (await tagged)?.match.agent;
+    assert(member?.teamName === "squad" && member.teamMemberName === "lead" && member.label === "lead",
+      "The launched session's agent carries its team and member name");
+    const agentInfo = JSON.parse((await httpGet("/api/agents/sess-lead", port)).body);
+    assert(agentInfo.teamName === "squad", "Team budgets and inboxes see the launched agent as a member");
+    for (let i = 0; i < 50 && !fs.existsSync(path.join(home, "launched.json")); i++) await new Promise(r => setTimeout(r, 100));
+    const run = JSON.parse(fs.readFileSync(path.join(home, "launched.json"), "utf8"));
+    assert(run.turn?.message?.content?.[0]?.text === "Plan the release", "The member's prompt is what the session starts with");
+    assert(run.env.team === "squad" && run.env.member === "lead" && run.env.inbox === path.join(teamsDir, "squad", "inboxes", "lead.json")
+      && run.args.some(a => a.startsWith("--append-system-prompt=") && a.includes("lead.json")),
+      "The member is told its team, name and inbox");
+    const again = await request({ type: "launch_team_member", teamName: "squad", memberName: "lead" });
+    assert(again?.type === "team_error" && again.error.includes("already running"), "A member with a running session isn't launched twice");
+    const ended = wsRecvUntil(ws, d => d.type === "session_ended" && d.sessionTag === session?.sessionTag, 5000).catch(() => null);
+    ws.send(JSON.stringify({ type: "kill", sessionTag: session?.sessionTag }));
+    await ended;
+  } finally {
+    if (ws) ws.close();
+    if (proc) proc.kill("SIGTERM");
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+async function testTranscriptViewer() {
+  log("─", "Transcript viewer");
+
+  const home = makeTempHome();
+  const projectDir = path.join(home, ".claude", "projects", "-work-app");
+  fs.mkdirSync(projectDir, { recursive: true });
+  const transcript = path.join(projectDir, "sess-tr.jsonl");
+  const line = (o) => JSON.stringify({ sessionId: "sess-tr", session_id: "sess-tr", timestamp: "2026-01-01T10:00:00Z", ...o }) + "\n";
+  const bigOutput = Array.from({ length: 40 }, (_, i) => `line ${i}`).join("\n");
+
+  const port = PORT + 12;
+  let proc, ws;
+  try {
+    proc = await launchServer([], { port, env: { HOME: home, USERPROFILE: home } });
+    ws = await wsConnect(port);
+    await wsRecv(ws);
+
+    // Created after startup, so the watcher reads it from the start and the agent appears
+    const joined = wsRecvUntil(ws, d => d.type === "agent_join" && d.agent.id === "sess-tr", 5000).catch(() => null);
+    fs.writeFileSync(transcript,
+      line({ type: "user", uuid: "u1", message: { role: "user", content: "Fix the login bug" } }) +
+      line({ type: "assistant", uuid: "a1", message: { model: "claude-sonnet", content: [
+        { type: "text", text: "Looking at auth.ts" },
+        { type: "tool_use", id: "toolu_1", name: "Bash", input: { command: "npm test" } },
+      ] } }) +
+      line({ type: "user", uuid: "u2", message: { role: "user", content: [
+        { type: "tool_result", tool_use_id: "toolu_1", content: bigOutput, is_error: true },
+      ] } }));
+    assert(await joined, "Transcript activity registers the agent");
+
+    const missing = await httpGet("/api/agents/nobody/transcript", port);
+    assert(missing.status === 404, "Unknown agents 404");
+
+    const res = await httpGet("/api/agents/sess-tr/transcript", port);
+    const body = JSON.parse(res.body);
+    assert(res.status === 200 && body.entries.map(e => e.kind).join() === "user,assistant,tool_use,tool_result",
+      "Transcript includes prompts, assistant text, tool calls and results");
+    const result = body.entries[3];
+    assert(body.entries[2].tool === "Bash" && result.toolUseId === "toolu_1" && result.isError && result.text === bigOutput,
+      "Tool results are paired by id and keep their full output");
+    assert(body.offset === fs.statSync(transcript).size && body.truncated === false, "The response says where to continue from");
+
+    ws.send(JSON.stringify({ type: "subscribe_transcript", agentId: "sess-tr" }));
+    const subscribed = await wsRecvUntil(ws, d => d.type === "transcript_subscribed", 3000).catch(() => null);
+    assert(subscribed?.match.found === true, "Clients can subscribe to an agent's transcript");
+
+    const live = wsRecvUntil(ws, d => d.type === "transcript_entries" && d.agentId === "sess-tr", 5000).catch(() => null);
+    fs.appendFileSync(transcript, line({ type: "assistant", uuid: "a2", message: { content: [{ type: "text", text: "All green" }] } }));
+    const pushed = (await live)?.match;
+    assert(pushed?.from === body.offset && pushed.entries[0]?.text === "All green", "New transcript lines are pushed to subscribers");
+
+    const more = JSON.parse((await httpGet(`/api/agents/sess-tr/transcript?after=${body.offset}`, port)).body);
+    assert(more.entries.length === 1 && more.entries[0].text === "All green", "?after= returns only what came later");
+    assert((await httpGet("/api/agents/sess-tr/transcript?after=-1", port)).status === 400, "Bad offsets are rejected");
+
+    // A miss is remembered, but a transcript the watcher sees appear is found right away
+    await httpPost("/api/events", JSON.stringify({ session_id: "sess-late", hook_event_name: "PreToolUse", tool_name: "Read" }), port);
+    assert((await httpGet("/api/agents/sess-late/transcript", port)).status === 404, "Agents without a transcript 404");
+    fs.writeFileSync(path.join(projectDir, "sess-late.jsonl"),
+      JSON.stringify({ sessionId: "sess-late", type: "user", uuid: "u1", message: { role: "user", content: "Hi" } }) + "\n");
+    let late;
+    for (let i = 0; i < 20 && late?.status !== 200; i++) {
+      await new Promise(r => setTimeout(r, 100));
+      late = await httpGet("/api/agents/sess-late/transcript", port);
+    }
+    assert(late?.status === 200, "Transcripts created after a miss are found through the watcher");
+  } finally {
+    if (ws) ws.close();
+    if (proc) proc.kill("SIGTERM");
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+async function testSubagentParentage() {
+  log("─", "Subagent parentage");
+
+  const home = makeTempHome();
+  const projectDir = path.join(home, ".claude", "projects", "-work-app");
+  fs.mkdirSync(projectDir, { recursive: true });
+
+  const port = PORT + 13;
+  let proc;
+  try {
+    proc = await launchServer([], { port, env: { HOME: home, USERPROFILE: home } });
+    const post = (evt) => httpPost("/api/events", JSON.stringify(evt), port);
+    const agent = async (id) => JSON.parse((await httpGet(`/api/agents/${id}`, port)).body);
+
+    // Two delegations at once — the old first-come matching gave sub-b the docs task
+    const task = (id, prompt) => post({ session_id: "lead-p", hook_event_name: "PreToolUse", tool_name: "Task",
+      tool_use_id: id, cwd: "/work", tool_input: { description: prompt, prompt } });
+    await task("toolu_docs", "Write the docs");
+    await task("toolu_tests", "Fix the tests");
+    await post({ session_id: "sub-b", hook_event_name: "SessionStart", cwd: "/work", parent_tool_use_id: "toolu_tests" });
+    const exact = await agent("sub-b");
+    assert(exact.parentId === "lead-p" && exact.parentLink?.toolUseId === "toolu_tests" && exact.parentLink.confidence === 1,
+      "parent_tool_use_id links a subagent to the exact Task call");
+
+    await post({ session_id: "sub-a", hook_event_name: "SessionStart", cwd: "/work" });
+    const guessed = await agent("sub-a");
+    assert(guessed.parentLink?.toolUseId === "toolu_docs" && guessed.parentLink.method === "cwd" && guessed.parentLink.confidence < 1,
+      "Without metadata the link is a guess, and says so");
+
+    await post({ session_id: "sub-c", hook_event_name: "SessionStart", cwd: "/elsewhere" });
+    assert(!(await agent("sub-c")).parentId, "Agents in another directory aren't linked by guesswork");
+
+    // Transcripts: the parent's Task calls, then two sidechains in reverse order
+    const line = (o) => JSON.stringify({ timestamp: "2026-01-01T10:00:00Z", cwd: "/app", ...o }) + "\n";
+    fs.writeFileSync(path.join(projectDir, "sess-parent.jsonl"), line({ type: "assistant", sessionId: "sess-parent", message: { content: [
+      { type: "tool_use", id: "toolu_t1", name: "Task", input: { description: "Audit", prompt: "Audit the auth module" } },
+      { type: "tool_use", id: "toolu_t2", name: "Task", input: { description: "Bench", prompt: "Benchmark the login route" } },
+    ] } }));
+    await new Promise(r => setTimeout(r, 600));
+    fs.writeFileSync(path.join(projectDir, "agent-x2.jsonl"), line({ type: "user", sessionId: "sess-parent", isSidechain: true,
+      parentUuid: null, uuid: "s1", message: { role: "user", content: "Benchmark the login route" } }) +
+      line({ type: "assistant", sessionId: "sess-parent", isSidechain: true, parentUuid: "s1", message: { content: [
+        { type: "tool_use", id: "toolu_b", name: "Bash", input: { command: "npm run bench" } },
+      ] } }));
+    await new Promise(r => setTimeout(r, 600));
+    const sidechain = await agent("agent-x2");
+    assert(sidechain.parentId === "sess-parent" && sidechain.parentLink?.toolUseId === "toolu_t2" && sidechain.parentLink.method === "sidechain",
+      "Sidechain transcripts link to the Task call whose prompt they open with");
+  } finally {
+    if (proc) proc.kill("SIGTERM");
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+async function testSessionEvents() {
+  log("─", "Structured session events");
+
+  const home = makeTempHome();
+  // A stand-in `claude` that streams one turn: text deltas, a tool call, its result and the totals
+  const binDir = path.join(home, "bin");
+  fs.mkdirSync(binDir);
+  fs.writeFileSync(path.join(binDir, "claude"), `#!/usr/bin/env node
+const out = o => process.stdout.write(JSON.stringify(o) + "\\n");
+out({ type: "system", subtype: "init", session_id: "sess-stream", model: "claude-sonnet", tools: ["Bash", "Read"], permissionMode: "default" });
+out({ type: "stream_event", event: { type: "message_start", message: { id: "msg_1" } } });
+out({ type: "stream_event", event: { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "Running " } } });
+out({ type: "stream_event", event: { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "the tests" } } });
+out({ type: "assistant", message: { id: "msg_1", content: [{ type: "text", text: "Running the tests" }] } });
+out({ type: "assistant", message: { id: "msg_1", content: [{ type: "tool_use", id: "toolu_1", name: "Bash", input: { command: "npm test", description: "x".repeat(400) } }] } });
+out({ type: "user", message: { content: [{ type: "tool_result", tool_use_id: "toolu_1", content: [{ type: "text", text: "1 failing" }], is_error: true }] } });
+out({ type: "result", subtype: "success", is_error: false, result: "Done", duration_ms: 4200, num_turns: 2, total_cost_usd: 0.01, usage: { input_tokens: 1200, output_tokens: 300 } });
+console.log("plain text line");
+`, { mode: 0o755 });
+
+  const port = PORT + 14;
+  let proc, ws;
+  try {
+    proc = await launchServer([], {
+      port,
+      env: { HOME: home, USERPROFILE: home, PATH: `${binDir}${path.delimiter}${process.env.PATH}` },
+    });
+    ws = await wsConnect(port);
+    await wsRecv(ws);
+
+    const events = [];
+    const plain = [];
+    const ended = wsRecvUntil(ws, d => {
+      if (d.type === "session_event") events.push(d.event);
+      if (d.type === "session_output") plain.push(d.text);
+      return d.type === "session_ended";
+    }, 8000).catch(() => null);
+    ws.send(JSON.stringify({ type: "prompt", text: "run the tests", cwd: home }));
+    assert(await ended, "The session runs to the end");
+
+    assert(events.map(e => e.kind).join() === "init,text_delta,text_delta,text,tool_use,tool_result,result",
+      `stream-json lines become structured events (${events.map(e => e.kind).join()})`);
+    const [init, delta] = events;
+    assert(init.sessionId === "sess-stream" && init.tools.length === 2 && init.permissionMode === "default", "init says which session, model and tools");
+    assert(delta.messageId === "msg_1" && delta.text === "Running ", "Text deltas name the message they belong to");
+    const toolUse = events.find(e => e.kind === "tool_use");
+    assert(toolUse.id === "toolu_1" && toolUse.input.description.length === 400, "Tool calls keep their full input");
+    const toolResult = events.find(e => e.kind === "tool_result");
+    assert(toolResult.toolUseId === "toolu_1" && toolResult.text === "1 failing" && toolResult.isError, "Tool results are paired by id");
+    const result = events.find(e => e.kind === "result");
+    assert(result.durationMs === 4200 && result.numTurns === 2 && result.usage.output_tokens === 300, "The final result carries the totals");
+    assert(plain.includes("plain text line"), "Lines that aren't stream-json still come through as text");
+  } finally {
+    if (ws) ws.close();
+    if (proc) proc.kill("SIGTERM");
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+async function testPermissionPrompts() {
+  log("─", "Permission prompts for spawned sessions");
+
+  const home = makeTempHome();
+  // A stand-in `claude` that starts the permission helper from --mcp-config the
+  // way Claude Code would, asks it about three tool calls and prints the answers
+  const binDir = path.join(home, "bin");
+  fs.mkdirSync(binDir);
+  fs.writeFileSync(path.join(binDir, "claude"), `#!/usr/bin/env node
+const { spawn } = require("child_process");
+const args = process.argv.slice(2);
+const fs = require("fs");
+const configFile = args[args.indexOf("--mcp-config") + 1];
+const server = JSON.parse(fs.readFileSync(configFile, "utf8")).mcpServers.swarm_observer;
+fs.writeFileSync(${JSON.stringify(path.join(home, "helper-config.json"))}, JSON.stringify({
+  file: configFile, mode: fs.statSync(configFile).mode & 0o777, secretInArgs: args.some(a => a.includes(server.env.SWARM_SESSION_SECRET)),
+}));
+const promptTool = args[args.indexOf("--permission-prompt-tool") + 1];
+const mcp = spawn(server.command, server.args, { env: { ...process.env, ...server.env }, stdio: ["pipe", "pipe", "inherit"] });
+const out = o => process.stdout.write(JSON.stringify(o) + "\\n");
+const waiting = new Map();
+let buffer = "", nextId = 1;
+mcp.stdout.on("data", chunk => {
+  buffer += chunk;
+  let i;
+  while ((i = buffer.indexOf("\\n")) >= 0) {
+    const reply = JSON.parse(buffer.slice(0, i));
+    buffer = buffer.slice(i + 1);
+    waiting.get(reply.id)(reply);
+  }
+});
+const rpc = (method, params) => new Promise(resolve => {
+  const id = nextId++;
+  waiting.set(id, resolve);
+  mcp.stdin.write(JSON.stringify({ jsonrpc: "2.0", id, method, params }) + "\\n");
+});
+(async () => {
+  await rpc("initialize", { protocolVersion: "2025-06-18" });
+  const tools = (await rpc("tools/list", {})).result.tools.map(t => "mcp__swarm_observer__" + t.name);
+  out({ type: "system", subtype: "init", session_id: "sess-perm", tools });
+  if (!tools.includes(promptTool)) out({ type: "error", error: { message: "permission tool missing" } });
+  const calls = [["Bash", { command: "rm -rf build" }], ["Bash", { command: "rm -rf build" }], ["Write", { file_path: "/tmp/x" }]];
+  for (const [name, input] of calls) {
+    const reply = await rpc("tools/call", { name: "permission_prompt", arguments: { tool_name: name, input, tool_use_id: "toolu_" + nextId } });
+    out({ type: "assistant", message: { id: "m" + nextId, content: [{ type: "text", text: reply.result.content[0].text }] } });
+  }
+  mcp.stdin.end();
+})();
+`, { mode: 0o755 });
+
+  const port = PORT + 15;
+  let proc, ws;
+  try {
+    proc = await launchServer([], {
+      port,
+      env: { HOME: home, USERPROFILE: home, PATH: `${binDir}${path.delimiter}${process.env.PATH}` },
+    });
+    ws = await wsConnect(port);
+    await wsRecv(ws);
+    const answers = [];
+    const requests = [];
+    const collect = (d) => {
+      if (d.type === "session_event" && d.event.kind === "text") answers.push(JSON.parse(d.event.text));
+      if (d.type === "permission_request") requests.push(d);
+    };
+
+    // Hooks know the session before it asks for anything
+    await httpPost("/api/events", JSON.stringify({ session_id: "sess-perm", hook_event_name: "SessionStart", cwd: home }), port);
+
+    let next = wsRecvUntil(ws, d => { collect(d); return d.type === "permission_request"; }, 8000).catch(() => null);
+    ws.send(JSON.stringify({ type: "prompt", text: "clean up", cwd: home }));
+    const first = (await next)?.match;
+    assert(first?.toolName === "Bash" && first.input.command === "rm -rf build" && first.rule === "Bash(rm -rf build)",
+      "Sessions ask the observer for permission with the tool and its input");
+    const agent = JSON.parse((await httpGet("/api/agents/sess-perm", port)).body);
+    assert(agent.blocked?.reason === "permission" && agent.blocked.detail.includes("Bash"), "The agent shows as blocked on the permission");
+
+    const stranger = await httpPost(`/api/sessions/${first?.sessionTag}/permission`, JSON.stringify({ tool_name: "Bash", input: {} }), port, "nope");
+    assert(stranger.status === 401, "Only the session's own helper (or an operator) can ask");
+
+    next = wsRecvUntil(ws, d => { collect(d); return d.type === "permission_request"; }, 8000).catch(() => null);
+    ws.send(JSON.stringify({ type: "permission_response", sessionTag: first?.sessionTag, requestId: first?.requestId, decision: "always" }));
+    const second = (await next)?.match;
+    assert(answers[0]?.behavior === "allow" && answers[0].updatedInput?.command === "rm -rf build", "Allowing lets the call through unchanged");
+    assert(answers[1]?.behavior === "allow" && second?.toolName === "Write", "Always-allowed calls don't ask again");
+
+    const ended = wsRecvUntil(ws, d => { collect(d); return d.type === "session_ended"; }, 8000).catch(() => null);
+    ws.send(JSON.stringify({ type: "permission_response", sessionTag: second?.sessionTag, requestId: second?.requestId, decision: "deny" }));
+    await ended;
+    assert(answers[2]?.behavior === "deny" && answers[2].message, "Denying sends Claude Code a reason");
+    const helperConfig = JSON.parse(fs.readFileSync(path.join(home, "helper-config.json"), "utf8"));
+    assert(!helperConfig.secretInArgs && helperConfig.mode === 0o600, "The session secret is in a private file, not on the command line");
+    assert(!fs.existsSync(helperConfig.file), "The helper's config file goes away with the session");
+
+    const stale = wsRecvUntil(ws, d => d.type === "error" && d.request === "permission_response", 3000).catch(() => null);
+    ws.send(JSON.stringify({ type: "permission_response", sessionTag: second?.sessionTag, requestId: second?.requestId, decision: "allow" }));
+    assert(await stale, "Answering twice is an error");
+  } finally {
+    if (ws) ws.close();
+    if (proc) proc.kill("SIGTERM");
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+async function testMultiTurnSessions() {
+  log("─", "Multi-turn sessions");
+
+  const home = makeTempHome();
+  // A stand-in `claude` that answers each stream-json user turn and acknowledges interrupts
+  const binDir = path.join(home, "bin");
+  fs.mkdirSync(binDir);
+  fs.writeFileSync(path.join(binDir, "claude"), `#!/usr/bin/env node
+const out = o => process.stdout.write(JSON.stringify(o) + "\\n");
+const args = process.argv.slice(2);
+out({ type: "system", subtype: "init", session_id: "sess-chat", tools: [] });
+let buffer = "", turn = 0;
+process.stdin.on("data", chunk => {
+  buffer += chunk;
+  let i;
+  while ((i = buffer.indexOf("\\n")) >= 0) {
+    const msg = JSON.parse(buffer.slice(0, i));
+    buffer = buffer.slice(i + 1);
+    if (msg.type === "user") {
+      turn++;
+      const streamed = args.includes("--input-format") && args[args.indexOf("--input-format") + 1] === "stream-json";
+      out({ type: "assistant", message: { id: "m" + turn, content: [{ type: "text", text: (streamed ? "echo: " : "?? ") + msg.message.content[0].text }] } });
+      out({ type: "result", subtype: "success", is_error: false, num_turns: turn });
+    } else if (msg.type === "control_request" && msg.request.subtype === "interrupt") {
+      out({ type: "control_response", response: { subtype: "success", request_id: msg.request_id } });
+    }
+  }
+});
+process.stdin.on("end", () => process.exit(0));
+`, { mode: 0o755 });
+
+  const port = PORT + 16;
+  let proc, ws;
+  try {
+    proc = await launchServer([], {
+      port,
+      env: { HOME: home, USERPROFILE: home, PATH: `${binDir}${path.delimiter}${process.env.PATH}` },
+    });
+    ws = await wsConnect(port);
+    await wsRecv(ws);
+    let ended = false;
+    const turn = () => {
+      let text = null;
+      return wsRecvUntil(ws, d => {
+        if (d.type === "session_ended") ended = true;
+        if (d.type === "session_event" && d.event.kind === "text") text = d.event.text;
+        return d.type === "session_event" && d.event.kind === "result";
+      }, 5000).then(() => text).catch(() => null);
+    };
+
+    let reply = turn();
+    const started = wsRecvUntil(ws, d => d.type === "session_started", 5000).catch(() => null);
+    ws.send(JSON.stringify({ type: "prompt", text: "hello", cwd: home }));
+    const tag = (await started)?.match.sessionTag;
+    assert(await reply === "echo: hello", "The first prompt is sent as a stream-json user turn");
+
+    reply = turn();
+    ws.send(JSON.stringify({ type: "respond", sessionTag: tag, text: "and again" }));
+    assert(await reply === "echo: and again" && !ended, "Follow-ups become new turns of the same session");
+
+    const interrupted = wsRecvUntil(ws, d => d.type === "session_event" && d.event.kind === "interrupted", 5000).catch(() => null);
+    ws.send(JSON.stringify({ type: "interrupt", sessionTag: tag }));
+    assert((await interrupted)?.match.event.ok === true && !ended, "Interrupting stops the turn, not the session");
+
+    const gone = wsRecvUntil(ws, d => d.type === "session_ended" && d.sessionTag === tag, 5000).catch(() => null);
+    ws.send(JSON.stringify({ type: "kill", sessionTag: tag }));
+    assert(await gone, "Ending the session is explicit");
+    const stale = wsRecvUntil(ws, d => d.type === "error" && d.request === "respond", 3000).catch(() => null);
+    ws.send(JSON.stringify({ type: "respond", sessionTag: tag, text: "anyone?" }));
+    assert(await stale, "Follow-ups to an ended session are refused");
+  } finally {
+    if (ws) ws.close();
+    if (proc) proc.kill("SIGTERM");
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+async function testSessionOptions() {
+  log("─", "Session options and presets");
+
+  const home = makeTempHome();
+  // A stand-in `claude` that records its arguments
+  const binDir = path.join(home, "bin");
+  fs.mkdirSync(binDir);
+  fs.writeFileSync(path.join(binDir, "claude"), `#!/usr/bin/env node
+require("fs").writeFileSync(require("path").join(process.env.HOME, "args.json"), JSON.stringify(process.argv.slice(2)));
+process.stdout.write(JSON.stringify({ type: "system", subtype: "init", session_id: "sess-opts", tools: [] }) + "\\n");
+process.stdin.on("data", () => {});
+process.stdin.on("end", () => process.exit(0));
+`, { mode: 0o755 });
+  fs.writeFileSync(path.join(home, "mcp.json"), JSON.stringify({ mcpServers: {} }));
+
+  const port = PORT + 17;
+  let proc, ws;
+  try {
+    proc = await launchServer([], {
+      port,
+      env: { HOME: home, USERPROFILE: home, PATH: `${binDir}${path.delimiter}${process.env.PATH}` },
+    });
+    ws = await wsConnect(port);
+    await wsRecv(ws);
+
+    const options = {
+      model: "sonnet", permissionMode: "plan", maxTurns: 5,
+      allowedTools: ["Read", "Bash(git log:*)"], disallowedTools: "WebFetch",
+      appendSystemPrompt: "- be terse", mcpConfig: "mcp.json",
+    };
+    const started = wsRecvUntil(ws, d => d.type === "session_started", 5000).catch(() => null);
+    const ready = wsRecvUntil(ws, d => d.type === "session_event" && d.event.kind === "init", 5000).catch(() => null);
+    ws.send(JSON.stringify({ type: "prompt", text: "hi", cwd: home, options }));
+    const tag = (await started)?.match.sessionTag;
+    await ready;
+    const args = JSON.parse(fs.readFileSync(path.join(home, "args.json"), "utf8"));
+    const after = (flag, n = 1) => args.slice(args.indexOf(flag) + 1, args.indexOf(flag) + 1 + n);
+    assert(args.includes("--model=sonnet") && args.includes("--permission-mode=plan") && args.includes("--max-turns=5"),
+      "Model, permission mode and max turns become flags");
+    assert(JSON.stringify(after("--allowedTools", 2)) === '["Read","Bash(git log:*)"]' && after("--disallowedTools")[0] === "WebFetch",
+      "Tool lists are passed one rule per argument");
+    assert(args.includes("--append-system-prompt=- be terse"), "A system prompt starting with a dash stays a value");
+    assert(after("--mcp-config", 2)[1] === path.join(home, "mcp.json") && args.includes("--permission-prompt-tool"),
+      "The MCP config file is loaded next to the permission helper");
+
+    for (const [bad, why] of [
+      [{ maxTurns: 0 }, "max turns out of range"],
+      [{ allowedTools: ["--dangerously-skip-permissions"] }, "a flag as a tool"],
+      [{ mcpConfig: "missing.json" }, "a missing MCP config"],
+      [{ temperature: 1 }, "an unknown option"],
+    ]) {
+      const refused = wsRecvUntil(ws, d => d.type === "session_error" || d.type === "session_started", 3000).catch(() => null);
+      ws.send(JSON.stringify({ type: "prompt", text: "hi", cwd: home, options: bad }));
+      const reply = (await refused)?.match;
+      assert(reply?.type === "session_error" && reply.error.startsWith("Invalid session options"), `Launches with ${why} are refused`);
+    }
+
+    const badResume = wsRecvUntil(ws, d => d.type === "session_error" || d.type === "session_started", 3000).catch(() => null);
+    ws.send(JSON.stringify({ type: "prompt", text: "hi", cwd: home, resumeSessionId: "x & del *" }));
+    assert((await badResume)?.match.type === "session_error", "Resume ids are checked before they reach the command line");
+
+    const saved = wsRecvUntil(ws, d => d.type === "session_presets", 3000).catch(() => null);
+    ws.send(JSON.stringify({ type: "save_session_preset", name: "reviewer", options: { model: "opus", allowedTools: "Read, Grep" } }));
+    const presets = (await saved)?.match.presets;
+    assert(presets?.length === 1 && presets[0].options.allowedTools[1] === "Grep", "Saved presets are broadcast");
+    const onDisk = JSON.parse(fs.readFileSync(path.join(home, ".claude", "swarm-viz", "session-presets.json"), "utf8"));
+    assert(onDisk.presets[0].name === "reviewer", "Presets are stored on the server");
+    const other = await wsConnect(port);
+    const snapshot = await wsRecv(other);
+    other.close();
+    assert(snapshot.sessionPresets?.[0]?.options.model === "opus", "Presets are part of the snapshot");
+
+    const badPreset = wsRecvUntil(ws, d => d.type === "session_preset_error", 3000).catch(() => null);
+    ws.send(JSON.stringify({ type: "save_session_preset", name: "broken", options: { permissionMode: "yolo" } }));
+    assert(await badPreset, "Presets are validated like launch options");
+
+    const deleted = wsRecvUntil(ws, d => d.type === "session_presets", 3000).catch(() => null);
+    ws.send(JSON.stringify({ type: "delete_session_preset", name: "reviewer" }));
+    assert((await deleted)?.match.presets.length === 0, "Presets can be deleted");
+
+    ws.send(JSON.stringify({ type: "kill", sessionTag: tag }));
+  } finally {
+    if (ws) ws.close();
+    if (proc) proc.kill("SIGTERM");
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+async function testSessionReattach() {
+  log("─", "Session list and reattach");
+
+  const home = makeTempHome();
+  // A stand-in `claude` that echoes each stream-json user turn
+  const binDir = path.join(home, "bin");
+  fs.mkdirSync(binDir);
+  fs.writeFileSync(path.join(binDir, "claude"), `#!/usr/bin/env node
+const out = o => process.stdout.write(JSON.stringify(o) + "\\n");
+out({ type: "system", subtype: "init", session_id: "sess-reattach", tools: [] });
+let buffer = "", turn = 0;
+process.stdin.on("data", chunk => {
+  buffer += chunk;
+  let i;
+  while ((i = buffer.indexOf("\\n")) >= 0) {
+    const msg = JSON.parse(buffer.slice(0, i));
+    buffer = buffer.slice(i + 1);
+    if (msg.type !== "user") continue;
+    turn++;
+    out({ type: "assistant", message: { id: "m" + turn, content: [{ type: "text", text: "echo: " + msg.message.content[0].text }] } });
+    out({ type: "result", subtype: "success", is_error: false, num_turns: turn });
+  }
+});
+process.stdin.on("end", () => process.exit(0));
+`, { mode: 0o755 });
+
+  const port = PORT + 18;
+  let proc, first, second, third;
+  try {
+    proc = await launchServer([], {
+      port,
+      env: { HOME: home, USERPROFILE: home, PATH: `${binDir}${path.delimiter}${process.env.PATH}` },
+    });
+    first = await wsConnect(port);
+    await wsRecv(first);
+    const started = wsRecvUntil(first, d => d.type === "session_started", 5000).catch(() => null);
+    const done = wsRecvUntil(first, d => d.type === "session_event" && d.event.kind === "result", 5000).catch(() => null);
+    first.send(JSON.stringify({ type: "prompt", text: "hello", cwd: home }));
+    const tag = (await started)?.match.sessionTag;
+    await done;
+
+    first.close();
+    await new Promise(r => setTimeout(r, 300));
+    const listed = JSON.parse((await httpGet("/api/sessions", port)).body);
+    const entry = listed.find(x => x.sessionTag === tag);
+    assert(entry && !entry.attached && entry.status === "waiting" && entry.cwd === home,
+      "Sessions keep running, detached, when their window closes");
+
+    second = await wsConnect(port);
+    const snapshot = await wsRecv(second);
+    assert(snapshot.sessions?.some(x => x.sessionTag === tag), "Running sessions are part of the snapshot");
+    const attached = wsRecvUntil(second, d => d.type === "session_attached", 3000).catch(() => null);
+    second.send(JSON.stringify({ type: "attach_session", sessionTag: tag }));
+    const events = (await attached)?.match.events || [];
+    assert(events.some(e => e.kind === "user" && e.text === "hello") && events.some(e => e.kind === "text" && e.text === "echo: hello"),
+      "Attaching replays the conversation so far");
+
+    const reply = wsRecvUntil(second, d => d.type === "session_event" && d.event.kind === "text", 5000).catch(() => null);
+    second.send(JSON.stringify({ type: "respond", sessionTag: tag, text: "still there?" }));
+    assert((await reply)?.match.event.text === "echo: still there?", "The attached window gets the session's output");
+
+    third = await wsConnect(port);
+    await wsRecv(third);
+    const takenOver = wsRecvUntil(second, d => d.type === "session_detached" && d.sessionTag === tag, 3000).catch(() => null);
+    third.send(JSON.stringify({ type: "attach_session", sessionTag: tag }));
+    assert(await takenOver, "Attaching elsewhere detaches the previous window");
+
+    const missing = wsRecvUntil(third, d => d.type === "error" && d.request === "attach_session", 3000).catch(() => null);
+    third.send(JSON.stringify({ type: "attach_session", sessionTag: "ui-nope" }));
+    assert(await missing, "Attaching to an unknown session is an error");
+
+    const gone = wsRecvUntil(second, d => d.type === "sessions" && !d.sessions.some(x => x.sessionTag === tag), 5000).catch(() => null);
+    third.send(JSON.stringify({ type: "kill", sessionTag: tag }));
+    assert(await gone, "Killing a session takes it off everyone's list");
+  } finally {
+    for (const ws of [first, second, third]) if (ws) ws.close();
+    if (proc) proc.kill("SIGTERM");
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
 async function testSyntaxCheck() {
   log("─", "Syntax validation");
 
@@ -297,7 +1847,6 @@ async function testSyntaxCheck() {
   assert(true, "server.js parses without syntax errors");
 
   // Check index.html exists and has basic structure
-  const fs = require("fs");
   const htmlPath = path.join(__dirname, "..", "public", "index.html");
   const html = fs.readFileSync(htmlPath, "utf8");
   assert(html.includes("<!DOCTYPE html>"), "index.html has doctype");
@@ -334,11 +1883,35 @@ async function run() {
     log("✓", "Server started");
 
     await testHttpServing();
+    await testStaticHardening();
+    await testAuth();
     await testSnapshotOnConnect();
     await testDemoAgentsAppear();
     await testEventsAndMessagesBroadcast();
     await testAgentContextRequest();
     await testDemoTeamsEnrichment();
+    await testRestApi();
+    await testToolCallPairing();
+    await testFileActivity();
+    await testWriteConflicts();
+    await testEditDiffs();
+    await testReplayOnRestart();
+    await testPlaybackMode();
+    await testUsageAccounting();
+    await testBudgetGuardrails();
+    await testWorkspaces();
+    await testRemoteIngest();
+    await testBlockedStatus();
+    await testAgentHealth();
+    await testTaskEditing();
+    await testTeamLifecycle();
+    await testTranscriptViewer();
+    await testSubagentParentage();
+    await testSessionEvents();
+    await testPermissionPrompts();
+    await testMultiTurnSessions();
+    await testSessionOptions();
+    await testSessionReattach();
 
   } catch (e) {
     failed++;
@@ -27,6 +27,7 @@ const HOME = process.env.HOME || process.env.USERPROFILE || require("os").homedi
 const TEAMS_DIR = path.join(HOME, ".claude", "teams");
 const TASKS_DIR = path.join(HOME, ".claude", "tasks");
 const TEMP_TEAM = "smoke-test-team";
+const TOKEN = "smoke-test-token";
 
 // Timing
 const SERVER_STARTUP_MS = 5000;
@@ -106,7 +107,7 @@ function cleanupTempTeamFiles() {
 // ── Server lifecycle ────────────────────────────────────────
 function startServer() {
   return new Promise((resolve, reject) => {
-    const env = { ...process.env, PORT: String(PORT) };
+    const env = { ...process.env, PORT: String(PORT), SWARM_TOKEN: TOKEN };
     const args = [SERVER_JS];
     if (!REAL_MODE) args.push("--demo");
 
@@ -184,7 +185,7 @@ async function run() {
 
     // 4. Load page and wait for rendering
     log("Loading page...");
-    await page.goto(`http://127.0.0.1:${PORT}`, { waitUntil: "networkidle2", timeout: 10000 });
+    await page.goto(`http://127.0.0.1:${PORT}/?token=${TOKEN}`, { waitUntil: "networkidle2", timeout: 10000 });
 
     log(`Waiting ${WAIT_FOR_RENDER_MS / 1000}s for agents to spawn and render...`);
     await new Promise(r => setTimeout(r, WAIT_FOR_RENDER_MS));